@@ -1,11 +1,14 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import { gunzipSync } from 'zlib';
 import express from 'express';
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
 import { chromium } from 'playwright';
 import { createClient } from '@supabase/supabase-js';
+import tmp from 'tmp-promise';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config();
@@ -25,59 +28,1083 @@ const TESTING_CONFIG = {
   SCROLL_DELAY: 200,
   FORM_FILL_DELAY: 300,
   CRITICAL_ERROR_THRESHOLD: 3,
-  BROKEN_ELEMENT_THRESHOLD: 2
+  BROKEN_ELEMENT_THRESHOLD: 2,
+  URL_CONCURRENCY: 3,
+  MAX_BROWSER_CONTEXTS: 6,
+  BROWSER_IDLE_TIMEOUT: 30000,
+  URL_TIME_BUDGET: 5 * 60 * 1000,
+  BATCH_TIME_BUDGET: 30 * 60 * 1000,
+  PHASES: {
+    scrolling: true,
+    forms: true,
+    interactive: true,
+    deepNavigation: true,
+    mobile: true,
+    formSubmission: false,
+    formValidation: true,
+    performance: true,
+    accessibility: true,
+    keyboard: true,
+    visual: true
+  },
+  VISUAL_WARNING_PERCENT: 1,
+  VISUAL_FAILURE_PERCENT: 10,
+  VISUAL_PIXEL_TOLERANCE: 24,
+  VISUAL_REGION_CELL: 32,
+  KEYBOARD_MAX_TABS: 200,
+  KEYBOARD_MAX_ACTIVATIONS: 5,
+  FORM_SUBMIT_INTERCEPT_URL: null,
+  FORM_SUBMIT_SETTLE_DELAY: 1500,
+  FORM_VALIDATION_MAX_PROBES: 10,
+  DATA_SEED: 1337,
+  FORM_VALIDATION_SETTLE_DELAY: 500,
+  LOGIN_SETTLE_DELAY: 2000,
+  RECORD_SESSION: true,
+  RECORDING_SIZE: { width: 800, height: 500 },
+  MAX_RECORDING_BYTES: 8 * 1024 * 1024,
+  MAX_ARTIFACT_BYTES: 25 * 1024 * 1024,
+  THUMBNAIL_WIDTH: 360,
+  SCREENSHOT_JPEG_QUALITY: 60,
+  MAX_FAILURE_EVIDENCE: 20,
+  EVIDENCE_PADDING: 40,
+  USE_SITEMAP: false,
+  RESPECT_ROBOTS: true,
+  ROBOTS_USER_AGENT: 'mole',
+  MAX_CRAWL_DELAY: 10000,
+  SITEMAP_MAX_FILES: 10,
+  SITEMAP_MAX_URLS: 200,
+  CRAWL_SCOPE: {
+    hosts: [],
+    subdomains: 'www',
+    pathPrefix: null,
+    include: [],
+    exclude: [],
+    query: 'keep',
+    stripParams: ['utm_*', 'fbclid', 'gclid'],
+    traversal: 'dfs'
+  },
+  SAFE_CLICK: {
+    enabled: true,
+    denyText: [
+      '\\bdelete\\b', '\\bremove\\b', '\\blog ?out\\b', '\\bsign ?out\\b', '\\bunsubscribe\\b',
+      '\\bbuy now\\b', '\\bpurchase\\b', '\\bcheckout\\b', '\\bplace order\\b', '\\bpay now\\b',
+      '\\bdeactivate\\b', '\\bclose account\\b', '\\bcancel subscription\\b'
+    ],
+    denySelectors: ['[data-destructive]', '[data-confirm]', '[data-method="delete"]', '.btn-danger'],
+    denyUrls: ['**/logout**', '**/log-out**', '**/signout**', '**/sign-out**', '**/unsubscribe**', '**/delete**'],
+    blockUnsafeRequests: false
+  },
+  PERFORMANCE_BUDGETS: {
+    ttfb: 800,
+    domContentLoaded: 3000,
+    load: 5000,
+    lcp: 2500,
+    cls: 0.1,
+    tbt: 300,
+    inp: 200,
+    transferSize: 5 * 1024 * 1024,
+    requestCount: 150
+  },
+  DEVICES: ['phone', 'tablet', 'desktop'],
+  MIN_TAP_TARGET: 44,
+  MIN_FONT_SIZE: 12
+};
+const DEVICE_PROFILES = {
+  phone: { name: 'phone', width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  tablet: { name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  desktop: { name: 'desktop', width: 1440, height: 900, deviceScaleFactor: 1, isMobile: false, hasTouch: false }
+};
+const VALIDATION_PROBE_FAILURES = {
+  required_empty: { type: 'FORM_ACCEPTS_EMPTY_REQUIRED', severity: 'high', label: 'accepts empty required field' },
+  invalid_email: { type: 'FORM_ACCEPTS_INVALID_EMAIL', severity: 'medium', label: 'accepts an invalid email address' },
+  out_of_range: { type: 'FORM_ACCEPTS_OUT_OF_RANGE', severity: 'medium', label: 'accepts an out-of-range number' },
+  overlong: { type: 'FORM_ACCEPTS_OVERLONG_INPUT', severity: 'low', label: 'accepts an overlong string' },
+  pattern_violation: { type: 'FORM_ACCEPTS_PATTERN_VIOLATION', severity: 'medium', label: 'accepts a value violating its pattern' }
+};
+const PROFILE_OVERRIDES = {
+  maxPages: { key: 'MAX_PAGES_TO_TEST', min: 1, max: 50 },
+  maxDepth: { key: 'MAX_DEPTH', min: 1, max: 4 },
+  pageTimeout: { key: 'PAGE_TIMEOUT', min: 1000, max: 60000 },
+  clickTimeout: { key: 'CLICK_TIMEOUT', min: 500, max: 15000 },
+  interactionDelay: { key: 'INTERACTION_DELAY', min: 0, max: 5000 },
+  scrollDelay: { key: 'SCROLL_DELAY', min: 0, max: 5000 },
+  formFillDelay: { key: 'FORM_FILL_DELAY', min: 0, max: 5000 },
+  criticalErrorThreshold: { key: 'CRITICAL_ERROR_THRESHOLD', min: 1, max: 100 },
+  brokenElementThreshold: { key: 'BROKEN_ELEMENT_THRESHOLD', min: 1, max: 100 },
+  urlTimeBudget: { key: 'URL_TIME_BUDGET', min: 10000, max: 30 * 60 * 1000 },
+  batchTimeBudget: { key: 'BATCH_TIME_BUDGET', min: 10000, max: 2 * 60 * 60 * 1000 },
+  seed: { key: 'DATA_SEED', min: 0, max: 2147483647 },
+  visualWarningPercent: { key: 'VISUAL_WARNING_PERCENT', min: 0, max: 100 },
+  visualFailurePercent: { key: 'VISUAL_FAILURE_PERCENT', min: 0, max: 100 }
+};
+const PROFILE_URL_OPTIONS = {
+  formSubmitInterceptUrl: 'FORM_SUBMIT_INTERCEPT_URL'
+};
+const PROFILE_FLAG_OPTIONS = {
+  useSitemap: 'USE_SITEMAP',
+  respectRobots: 'RESPECT_ROBOTS',
+  recordSession: 'RECORD_SESSION'
+};
+const CRAWL_SCOPE_CHOICES = {
+  subdomains: ['exact', 'www', 'all'],
+  query: ['keep', 'sort', 'strip'],
+  traversal: ['dfs', 'bfs']
+};
+function validateCrawlScope(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { errors: ['profile.scope must be an object'], scope: null };
+  }
+  const errors = [];
+  const scope = { ...TESTING_CONFIG.CRAWL_SCOPE };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in scope)) {
+      errors.push(`Unknown crawl scope option: ${key}`);
+      continue;
+    }
+    scope[key] = value;
+  }
+  if (!Array.isArray(scope.hosts) || scope.hosts.some(host => typeof host !== 'string' || !/^(\*\.)?[a-z0-9.-]+$/i.test(host))) {
+    errors.push('profile.scope.hosts must be an array of hostnames (optionally prefixed with *.)');
+  }
+  for (const [key, choices] of Object.entries(CRAWL_SCOPE_CHOICES)) {
+    if (!choices.includes(scope[key])) {
+      errors.push(`profile.scope.${key} must be one of: ${choices.join(', ')}`);
+    }
+  }
+  if (scope.pathPrefix !== null && (typeof scope.pathPrefix !== 'string' || !scope.pathPrefix.startsWith('/'))) {
+    errors.push('profile.scope.pathPrefix must be a path starting with /');
+  }
+  for (const key of ['include', 'exclude']) {
+    if (!Array.isArray(scope[key])) {
+      errors.push(`profile.scope.${key} must be an array`);
+      continue;
+    }
+    scope[key].forEach((pattern, index) => {
+      if (typeof pattern === 'string') return;
+      try {
+        new RegExp(pattern?.regex, pattern?.flags);
+        if (typeof pattern.regex !== 'string') throw new Error();
+      } catch {
+        errors.push(`profile.scope.${key}[${index}] must be a glob string or { regex, flags }`);
+        return;
+      }
+      // g and y make RegExp.test() resume from lastIndex, so matches would alternate
+      if (/[gy]/.test(pattern.flags || '')) {
+        errors.push(`profile.scope.${key}[${index}].flags must not include g or y`);
+      }
+    });
+  }
+  if (!Array.isArray(scope.stripParams) || scope.stripParams.some(param => typeof param !== 'string')) {
+    errors.push('profile.scope.stripParams must be an array of parameter names');
+  }
+  return { errors, scope };
+}
+function validateSafeClickPolicy(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { errors: ['profile.safeClick must be an object'], policy: null };
+  }
+  const errors = [];
+  const policy = { ...TESTING_CONFIG.SAFE_CLICK };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in policy)) {
+      errors.push(`Unknown safe-click option: ${key}`);
+      continue;
+    }
+    policy[key] = value;
+  }
+  for (const key of ['enabled', 'blockUnsafeRequests']) {
+    if (typeof policy[key] !== 'boolean') {
+      errors.push(`profile.safeClick.${key} must be a boolean`);
+    }
+  }
+  for (const key of ['denyText', 'denySelectors', 'denyUrls']) {
+    if (!Array.isArray(policy[key]) || policy[key].some(pattern => typeof pattern !== 'string')) {
+      errors.push(`profile.safeClick.${key} must be an array of strings`);
+    }
+  }
+  if (Array.isArray(policy.denyText)) {
+    policy.denyText.forEach((pattern, index) => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch {
+        errors.push(`profile.safeClick.denyText[${index}] is not a valid regular expression`);
+      }
+    });
+  }
+  return { errors, policy };
+}
+const PERFORMANCE_BUDGET_LABELS = {
+  ttfb: { label: 'Time to first byte', unit: 'ms' },
+  domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms' },
+  load: { label: 'Load event', unit: 'ms' },
+  lcp: { label: 'Largest Contentful Paint', unit: 'ms' },
+  cls: { label: 'Cumulative Layout Shift', unit: '' },
+  tbt: { label: 'Total Blocking Time', unit: 'ms' },
+  inp: { label: 'Interaction to Next Paint (approx.)', unit: 'ms' },
+  transferSize: { label: 'Total transfer size', unit: ' bytes' },
+  requestCount: { label: 'Request count', unit: '' }
+};
+const ACCESSIBILITY_RULES = {
+  'image-alt': { type: 'A11Y_IMAGE_ALT', wcag: '1.1.1 Non-text Content (A)', severity: 'medium', weight: 10, summary: 'images without alt text' },
+  'label': { type: 'A11Y_FORM_LABEL', wcag: '1.3.1 Info and Relationships, 4.1.2 Name, Role, Value (A)', severity: 'medium', weight: 10, summary: 'form fields without a label' },
+  'button-name': { type: 'A11Y_BUTTON_NAME', wcag: '4.1.2 Name, Role, Value (A)', severity: 'medium', weight: 10, summary: 'buttons or links without an accessible name' },
+  'color-contrast': { type: 'A11Y_COLOR_CONTRAST', wcag: '1.4.3 Contrast (Minimum) (AA)', severity: 'medium', weight: 7, summary: 'text below WCAG AA contrast' },
+  'html-lang': { type: 'A11Y_HTML_LANG', wcag: '3.1.1 Language of Page (A)', severity: 'low', weight: 7, summary: 'missing lang attribute on <html>' },
+  'heading-order': { type: 'A11Y_HEADING_ORDER', wcag: '1.3.1 Info and Relationships (A)', severity: 'low', weight: 3, summary: 'heading levels that skip a level' },
+  'landmarks': { type: 'A11Y_LANDMARKS', wcag: '1.3.1 Info and Relationships (A), 2.4.1 Bypass Blocks (A)', severity: 'low', weight: 3, summary: 'missing main landmark' },
+  'tabindex': { type: 'A11Y_TABINDEX', wcag: '2.4.3 Focus Order (A)', severity: 'medium', weight: 7, summary: 'positive or misused tabindex' }
+};
+function validatePerformanceBudgets(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { errors: ['profile.budgets must be an object'], budgets: null };
+  }
+  const errors = [];
+  const budgets = { ...TESTING_CONFIG.PERFORMANCE_BUDGETS };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in budgets)) {
+      errors.push(`Unknown performance budget: ${key}`);
+    } else if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push(`profile.budgets.${key} must be a non-negative number or null`);
+    } else {
+      budgets[key] = value;
+    }
+  }
+  return { errors, budgets };
+}
+const NETWORK_CONDITIONS = {
+  slow3g: { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  fast3g: { offline: false, latency: 563, downloadThroughput: 180000, uploadThroughput: 84375 },
+  offlineAfterLoad: null
+};
+const EMULATION_PRESETS = {
+  slow3g: { network: 'slow3g', cpuSlowdown: 1 },
+  fast3g: { network: 'fast3g', cpuSlowdown: 1 },
+  offlineAfterLoad: { network: 'offlineAfterLoad', cpuSlowdown: 1 },
+  cpu4x: { network: null, cpuSlowdown: 4 }
 };
+function validateEmulation(input) {
+  if (input === null) {
+    return { errors: [], emulation: null };
+  }
+  if (typeof input === 'string') {
+    return input in EMULATION_PRESETS ?
+      { errors: [], emulation: { ...EMULATION_PRESETS[input] } } :
+      { errors: [`profile.emulation must be one of: ${Object.keys(EMULATION_PRESETS).join(', ')}`], emulation: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['profile.emulation must be a preset name or an object'], emulation: null };
+  }
+  const errors = [];
+  const emulation = { network: input.network ?? null, cpuSlowdown: input.cpuSlowdown ?? 1 };
+  for (const key of Object.keys(input)) {
+    if (!(key in emulation)) {
+      errors.push(`Unknown emulation option: ${key}`);
+    }
+  }
+  if (emulation.network !== null && !(emulation.network in NETWORK_CONDITIONS)) {
+    errors.push(`profile.emulation.network must be one of: ${Object.keys(NETWORK_CONDITIONS).join(', ')}`);
+  }
+  if (typeof emulation.cpuSlowdown !== 'number' || emulation.cpuSlowdown < 1 || emulation.cpuSlowdown > 20) {
+    errors.push('profile.emulation.cpuSlowdown must be a number between 1 and 20');
+  }
+  return { errors, emulation: !emulation.network && emulation.cpuSlowdown === 1 ? null : emulation };
+}
+function validateDevices(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > 6) {
+    return { errors: ['profile.devices must be an array of 1 to 6 devices'], devices: null };
+  }
+  const errors = [];
+  const devices = input.map((device, index) => {
+    if (typeof device === 'string') {
+      if (!(device in DEVICE_PROFILES)) {
+        errors.push(`profile.devices[${index}] must be one of: ${Object.keys(DEVICE_PROFILES).join(', ')} or a device object`);
+      }
+      return DEVICE_PROFILES[device] || null;
+    }
+    const custom = { deviceScaleFactor: 1, isMobile: false, hasTouch: false, ...device };
+    const validSize = value => Number.isInteger(value) && value >= 200 && value <= 3840;
+    if (typeof custom.name !== 'string' || !validSize(custom.width) || !validSize(custom.height) ||
+        typeof custom.deviceScaleFactor !== 'number' || custom.deviceScaleFactor < 1 || custom.deviceScaleFactor > 4 ||
+        typeof custom.isMobile !== 'boolean' || typeof custom.hasTouch !== 'boolean') {
+      errors.push(`profile.devices[${index}] needs a name, width/height between 200 and 3840, deviceScaleFactor 1-4 and boolean isMobile/hasTouch`);
+    }
+    return custom;
+  });
+  return { errors, devices };
+}
+function validateTestProfile(input, legacy = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { errors: ['profile must be an object'], profile: null };
+  }
+  const errors = [];
+  const requestedPhases = input.phases ?? {};
+  if (typeof requestedPhases !== 'object' || requestedPhases === null || Array.isArray(requestedPhases)) {
+    return { errors: ['profile.phases must be an object'], profile: null };
+  }
+  for (const phase of Object.keys(requestedPhases)) {
+    if (!(phase in TESTING_CONFIG.PHASES)) {
+      errors.push(`Unknown test phase: ${phase}`);
+    }
+  }
+  const phases = {};
+  for (const [phase, enabledByDefault] of Object.entries(TESTING_CONFIG.PHASES)) {
+    const value = requestedPhases[phase] ?? (phase === 'deepNavigation' ? legacy.deepTest : undefined) ?? enabledByDefault;
+    if (typeof value !== 'boolean') {
+      errors.push(`profile.phases.${phase} must be a boolean`);
+    }
+    phases[phase] = value;
+  }
+  const profile = { phases };
+  for (const [name, rule] of Object.entries(PROFILE_OVERRIDES)) {
+    const value = input[name] ?? (name === 'maxDepth' ? legacy.maxDepth : undefined);
+    if (value === undefined) {
+      profile[name] = TESTING_CONFIG[rule.key];
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+      errors.push(`profile.${name} must be an integer between ${rule.min} and ${rule.max}`);
+    }
+    profile[name] = number;
+  }
+  for (const [name, key] of Object.entries(PROFILE_URL_OPTIONS)) {
+    const value = input[name] ?? TESTING_CONFIG[key];
+    if (value !== null && !isHttpUrl(value)) {
+      errors.push(`profile.${name} must be an http(s) URL`);
+    }
+    profile[name] = value;
+  }
+  for (const [name, key] of Object.entries(PROFILE_FLAG_OPTIONS)) {
+    const value = input[name] ?? TESTING_CONFIG[key];
+    if (typeof value !== 'boolean') {
+      errors.push(`profile.${name} must be a boolean`);
+    }
+    profile[name] = value;
+  }
+  const { errors: scopeErrors, scope } = validateCrawlScope(input.scope ?? {});
+  errors.push(...scopeErrors);
+  profile.scope = scope;
+  const { errors: safeClickErrors, policy: safeClick } = validateSafeClickPolicy(input.safeClick ?? {});
+  errors.push(...safeClickErrors);
+  profile.safeClick = safeClick;
+  const { errors: budgetErrors, budgets } = validatePerformanceBudgets(input.budgets ?? {});
+  errors.push(...budgetErrors);
+  profile.budgets = budgets;
+  const { errors: emulationErrors, emulation } = validateEmulation(input.emulation ?? null);
+  errors.push(...emulationErrors);
+  profile.emulation = emulation;
+  const { errors: deviceErrors, devices } = validateDevices(input.devices ?? TESTING_CONFIG.DEVICES);
+  errors.push(...deviceErrors);
+  profile.devices = devices;
+  for (const key of Object.keys(input)) {
+    if (!['phases', 'scope', 'safeClick', 'budgets', 'emulation', 'devices'].includes(key) && !(key in PROFILE_OVERRIDES) && !(key in PROFILE_URL_OPTIONS) && !(key in PROFILE_FLAG_OPTIONS)) {
+      errors.push(`Unknown profile option: ${key}`);
+    }
+  }
+  return { errors, profile };
+}
+function resolveTestingConfig(profile) {
+  const config = { ...TESTING_CONFIG, PHASES: { ...profile.phases } };
+  for (const [name, rule] of Object.entries(PROFILE_OVERRIDES)) {
+    config[rule.key] = profile[name];
+  }
+  for (const [name, key] of Object.entries(PROFILE_URL_OPTIONS)) {
+    config[key] = profile[name];
+  }
+  for (const [name, key] of Object.entries(PROFILE_FLAG_OPTIONS)) {
+    config[key] = profile[name];
+  }
+  config.CRAWL_SCOPE = profile.scope;
+  config.SAFE_CLICK = profile.safeClick;
+  config.PERFORMANCE_BUDGETS = profile.budgets;
+  config.EMULATION = profile.emulation;
+  config.DEVICES = profile.devices;
+  return config;
+}
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+const AUTH_KEYS = ['storageState', 'cookies', 'credentials', 'loginUrl', 'steps', 'successSelector', 'loggedOutSelector'];
+const AUTH_STEP_ACTIONS = ['goto', 'fill', 'click', 'press', 'waitFor'];
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+function validateAuthConfig(auth, urls) {
+  const errors = [];
+  if (!isPlainObject(auth)) {
+    return ['auth must be an object keyed by URL'];
+  }
+  for (const [url, entry] of Object.entries(auth)) {
+    if (!urls.includes(url)) {
+      errors.push(`auth["${url}"] does not match any URL in this batch`);
+      continue;
+    }
+    if (!isPlainObject(entry)) {
+      errors.push(`auth["${url}"] must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!AUTH_KEYS.includes(key)) {
+        errors.push(`auth["${url}"].${key} is not a supported option`);
+      }
+    }
+    if (!entry.storageState && !entry.cookies && !entry.credentials && !entry.steps) {
+      errors.push(`auth["${url}"] needs storageState, cookies, credentials or steps`);
+    }
+    if (entry.storageState !== undefined && (!isPlainObject(entry.storageState) || !Array.isArray(entry.storageState.cookies || []) || !Array.isArray(entry.storageState.origins || []))) {
+      errors.push(`auth["${url}"].storageState must be a Playwright storage state object`);
+    }
+    if (entry.cookies !== undefined && (!Array.isArray(entry.cookies) ||
+        entry.cookies.some(c => !isPlainObject(c) || typeof c.name !== 'string' || typeof c.value !== 'string' || !(c.url || (c.domain && c.path))))) {
+      errors.push(`auth["${url}"].cookies must be an array of cookies with name, value and url or domain/path`);
+    }
+    if (entry.credentials !== undefined && (!isPlainObject(entry.credentials) ||
+        typeof entry.credentials.username !== 'string' || typeof entry.credentials.password !== 'string')) {
+      errors.push(`auth["${url}"].credentials must contain username and password strings`);
+    }
+    if (entry.loginUrl !== undefined && !isHttpUrl(entry.loginUrl)) {
+      errors.push(`auth["${url}"].loginUrl must be an http(s) URL`);
+    }
+    for (const key of ['successSelector', 'loggedOutSelector']) {
+      if (entry[key] !== undefined && (typeof entry[key] !== 'string' || !entry[key].trim())) {
+        errors.push(`auth["${url}"].${key} must be a non-empty string`);
+      }
+    }
+    if (entry.steps !== undefined) {
+      if (!Array.isArray(entry.steps) || entry.steps.length === 0) {
+        errors.push(`auth["${url}"].steps must be a non-empty array`);
+        continue;
+      }
+      entry.steps.forEach((step, index) => {
+        const where = `auth["${url}"].steps[${index}]`;
+        if (!isPlainObject(step) || !AUTH_STEP_ACTIONS.includes(step.action)) {
+          errors.push(`${where}.action must be one of: ${AUTH_STEP_ACTIONS.join(', ')}`);
+        } else if (step.action === 'goto' ? !isHttpUrl(step.url) : typeof step.selector !== 'string') {
+          errors.push(`${where} needs ${step.action === 'goto' ? 'an http(s) url' : 'a selector'}`);
+        } else if (step.action === 'fill' && typeof step.value !== 'string') {
+          errors.push(`${where} needs a string value`);
+        } else if (step.action === 'press' && typeof step.key !== 'string') {
+          errors.push(`${where} needs a key`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+class ReviewAbortedError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ReviewAbortedError';
+    this.reason = reason;
+  }
+}
+class ReviewController {
+  constructor(scope, timeBudget, parent = null) {
+    this.scope = scope;
+    this.timeBudget = timeBudget;
+    this.parent = parent;
+    this.deadline = null;
+    this.cancelled = false;
+  }
+  start() {
+    this.deadline = Date.now() + this.timeBudget;
+  }
+  cancel() {
+    this.cancelled = true;
+  }
+  getAbort() {
+    if (this.cancelled) {
+      return { reason: 'CANCELLED', message: `${this.scope} review was cancelled` };
+    }
+    if (this.deadline && Date.now() > this.deadline) {
+      return { reason: 'TIMEOUT', message: `${this.scope} time budget of ${Math.round(this.timeBudget / 1000)}s exceeded` };
+    }
+    return this.parent ? this.parent.getAbort() : null;
+  }
+  throwIfAborted() {
+    const abort = this.getAbort();
+    if (abort) {
+      throw new ReviewAbortedError(abort.reason, abort.message);
+    }
+  }
+}
+class LoginFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LoginFailedError';
+  }
+}
+function rethrowIfAborted(error) {
+  if (error instanceof ReviewAbortedError) {
+    throw error;
+  }
+}
 class FailureTracker {
-  constructor() {
+  constructor(controller = null, config = TESTING_CONFIG) {
+    this.controller = controller;
+    this.config = config;
     this.failures = [];
     this.criticalFailures = [];
     this.warnings = [];
     this.testedElements = 0;
     this.brokenElements = 0;
     this.pagesVisited = [];
+    this.currentPage = null;
+    this.currentInteraction = null;
+    this.javascriptErrors = [];
+    this.formSubmissions = [];
+    this.formValidation = [];
+    this.authSession = null;
+    this.robots = null;
+    this.crawl = {
+      robots: null,
+      sitemaps: [],
+      sitemapUrls: [],
+      sitemapErrors: [],
+      blockedByRobots: [],
+      spaRoutes: [],
+      scope: null,
+      pages: []
+    };
+    this.scope = null;
+    this.contentFingerprints = new Map();
+    this.safeClick = null;
+    this.skippedElements = [];
+    this.blockedRequests = [];
+    this.pages = new Map();
+    this.responsive = [];
+    this.accessibility = [];
+    this.keyboard = [];
+    this.recorder = null;
+    this.evidenceCount = 0;
+    this.screenshots = [];
+    this.transfer = null;
+  }
+  addScreenshot({ data, contentType = 'image/jpeg', ...shot }) {
+    const hash = createHash('sha256').update(data).digest('hex');
+    this.screenshots.push({ ...shot, contentType, hash, data });
+    return { hash, src: `/api/screenshots/${hash}` };
+  }
+  enterPage(url) {
+    const now = Date.now();
+    const previous = this.pages.get(this.currentPage);
+    if (previous?.enteredAt) {
+      previous.timeSpentMs += now - previous.enteredAt;
+      previous.enteredAt = null;
+    }
+    if (!this.pages.has(url)) {
+      this.pages.set(url, {
+        url,
+        loadStatus: 'pending',
+        httpStatus: null,
+        performance: null,
+        elementsTested: 0,
+        elementsBroken: 0,
+        timeSpentMs: 0,
+        enteredAt: null
+      });
+    }
+    this.pages.get(url).enteredAt = now;
+    this.currentPage = url;
+  }
+  recordPagePerformance(metrics) {
+    const page = this.pages.get(this.currentPage);
+    if (page) {
+      page.performance = metrics;
+    }
+  }
+  recordPageAccessibility(audit) {
+    const page = this.pages.get(this.currentPage);
+    if (page) {
+      page.accessibilityScore = audit.score;
+    }
+  }
+  recordPageLoad(loadStatus, httpStatus = null) {
+    const page = this.pages.get(this.currentPage);
+    if (page) {
+      page.loadStatus = loadStatus;
+      page.httpStatus = httpStatus ?? page.httpStatus;
+    }
   }
-  addFailure(type, message, severity = 'medium', page = null) {
+  addFailure(type, message, severity = 'medium', page = null, details = null) {
+    const failurePage = page || this.currentPage || 'main';
+    const timestamp = new Date().toISOString();
+    const existing = this.failures.find(f => f.type === type && f.message === message && f.page === failurePage);
+    console.log(`${severity === 'critical' ? '🚨' : '⚠️'} ${type}: ${message} (${failurePage})`);
+    if (existing) {
+      existing.count++;
+      existing.lastSeen = timestamp;
+      return existing;
+    }
     const failure = {
       type,
       message,
       severity,
-      page: page || 'main',
-      timestamp: new Date().toISOString()
+      page: failurePage,
+      count: 1,
+      timestamp,
+      lastSeen: timestamp
     };
+    if (details) {
+      failure.details = details;
+    }
     this.failures.push(failure);
     if (severity === 'critical') {
       this.criticalFailures.push(failure);
     }
-    console.log(`${severity === 'critical' ? '🚨' : '⚠️'} ${type}: ${message}${page ? ` (${page})` : ''}`);
+    return failure;
   }
   addWarning(message, page = null) {
-    this.warnings.push({ message, page, timestamp: new Date().toISOString() });
-    console.log(`⚠️ Warning: ${message}${page ? ` (${page})` : ''}`);
+    const warningPage = page || this.currentPage;
+    this.warnings.push({ message, page: warningPage, timestamp: new Date().toISOString() });
+    console.log(`⚠️ Warning: ${message}${warningPage ? ` (${warningPage})` : ''}`);
   }
   incrementBroken() {
     this.brokenElements++;
+    const page = this.pages.get(this.currentPage);
+    if (page) page.elementsBroken++;
   }
   incrementTested() {
     this.testedElements++;
+    const page = this.pages.get(this.currentPage);
+    if (page) page.elementsTested++;
+  }
+  getPageBreakdown() {
+    const now = Date.now();
+    return Array.from(this.pages.values()).map(({ enteredAt, ...page }) => {
+      const pageFailures = this.failures.filter(f => f.page === page.url);
+      const failuresBySeverity = { critical: 0, high: 0, medium: 0, low: 0 };
+      for (const failure of pageFailures) {
+        failuresBySeverity[failure.severity] = (failuresBySeverity[failure.severity] || 0) + failure.count;
+      }
+      return {
+        ...page,
+        timeSpentMs: page.timeSpentMs + (enteredAt ? now - enteredAt : 0),
+        failureGroups: pageFailures.length,
+        failuresBySeverity,
+        warnings: this.warnings.filter(w => w.page === page.url).length,
+        javascriptErrors: this.javascriptErrors.filter(e => e.page === page.url).length
+      };
+    });
+  }
+  checkpoint() {
+    if (this.controller) {
+      this.controller.throwIfAborted();
+    }
   }
   shouldFail() {
     return this.criticalFailures.length > 0 || 
-           this.brokenElements >= TESTING_CONFIG.BROKEN_ELEMENT_THRESHOLD ||
-           (this.failures.filter(f => f.severity === 'high').length >= TESTING_CONFIG.CRITICAL_ERROR_THRESHOLD);
+           this.brokenElements >= this.config.BROKEN_ELEMENT_THRESHOLD ||
+           (this.failures.filter(f => f.severity === 'high').reduce((sum, f) => sum + f.count, 0) >= this.config.CRITICAL_ERROR_THRESHOLD);
   }
   getSummary() {
     return {
       totalFailures: this.failures.length,
+      totalFailureOccurrences: this.failures.reduce((sum, f) => sum + f.count, 0),
       criticalFailures: this.criticalFailures.length,
       warnings: this.warnings.length,
       testedElements: this.testedElements,
       brokenElements: this.brokenElements,
       brokenElementRatio: this.testedElements > 0 ? this.brokenElements / this.testedElements : 0,
       pagesVisited: this.pagesVisited.length,
+      deadClicks: this.failures.filter(f => f.type === 'DEAD_CLICK').length,
+      skippedElements: this.skippedElements.length,
+      blockedRequests: this.blockedRequests.length,
       shouldFail: this.shouldFail()
     };
   }
 }
+class AuthSession {
+  constructor(config) {
+    this.config = config;
+    this.methods = ['storageState', 'cookies', 'credentials', 'steps'].filter(key => config[key]);
+    this.outcome = 'PENDING';
+    this.error = null;
+    this.logins = 0;
+    this.sessionLosses = [];
+  }
+  get hasRecipe() {
+    return !!(this.config.credentials || this.config.steps);
+  }
+  contextOptions() {
+    return this.config.storageState ? { storageState: this.config.storageState } : {};
+  }
+  redact(text) {
+    const { credentials, steps = [] } = this.config;
+    const fillValues = steps.filter(step => step.action === 'fill' && step.value)
+      .flatMap(step => [step.value, this.stepValue(step)]);
+    const secrets = [credentials?.username, credentials?.password, ...fillValues]
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+    let redacted = String(text);
+    for (const secret of secrets) {
+      redacted = redacted.split(secret).join('***');
+    }
+    return redacted;
+  }
+  stepValue(step) {
+    return (step.value || '')
+      .replace(/\{\{username\}\}/g, this.config.credentials?.username || '')
+      .replace(/\{\{password\}\}/g, this.config.credentials?.password || '');
+  }
+  fail(message) {
+    this.outcome = 'LOGIN_FAILED';
+    this.error = this.redact(message);
+    throw new LoginFailedError(this.error);
+  }
+  async authenticate(page, failureTracker, targetUrl) {
+    if (this.config.cookies) {
+      try {
+        await page.context().addCookies(this.config.cookies);
+      } catch (error) {
+        this.fail(`Stored cookies were rejected: ${error.message}`);
+      }
+    }
+    if (this.hasRecipe) {
+      await this.login(page, failureTracker, targetUrl);
+    }
+  }
+  async login(page, failureTracker, targetUrl) {
+    const { config } = this;
+    const timeout = failureTracker.config.PAGE_TIMEOUT;
+    this.logins++;
+    failureTracker.currentInteraction = 'login';
+    console.log(`🔐 Logging in via ${config.steps ? 'login recipe' : 'credentials'}...`);
+    try {
+      if (config.loginUrl || !config.steps) {
+        await page.goto(config.loginUrl || targetUrl, { waitUntil: 'domcontentloaded', timeout });
+      }
+      if (config.steps) {
+        for (const step of config.steps) {
+          failureTracker.checkpoint();
+          await this.runStep(page, step, timeout);
+        }
+      } else {
+        await this.submitCredentials(page, timeout);
+      }
+      await page.waitForLoadState('domcontentloaded', { timeout }).catch(() => {});
+      await page.waitForTimeout(failureTracker.config.LOGIN_SETTLE_DELAY);
+    } catch (error) {
+      rethrowIfAborted(error);
+      this.fail(`Login recipe failed: ${error.message}`);
+    }
+    if (!(await this.isLoggedIn(page))) {
+      this.fail(`Login did not reach an authenticated state (ended on ${page.url()})`);
+    }
+    this.outcome = 'LOGGED_IN';
+    console.log('✅ Logged in');
+  }
+  async runStep(page, step, timeout) {
+    const value = this.stepValue(step);
+    switch (step.action) {
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'domcontentloaded', timeout });
+        break;
+      case 'fill':
+        await page.locator(step.selector).first().fill(value, { timeout });
+        break;
+      case 'click':
+        await page.locator(step.selector).first().click({ timeout });
+        break;
+      case 'press':
+        await page.locator(step.selector).first().press(step.key, { timeout });
+        break;
+      case 'waitFor':
+        await page.locator(step.selector).first().waitFor({ state: 'visible', timeout });
+        break;
+    }
+  }
+  async submitCredentials(page, timeout) {
+    const passwordField = page.locator('input[type="password"]').first();
+    await passwordField.waitFor({ state: 'visible', timeout });
+    const usernameField = page.locator([
+      'input[autocomplete="username"]',
+      'input[type="email"]',
+      'input[name*="user" i]',
+      'input[name*="email" i]',
+      'input[name*="login" i]',
+      'input[type="text"]'
+    ].join(', ')).first();
+    await usernameField.fill(this.config.credentials.username, { timeout });
+    await passwordField.fill(this.config.credentials.password, { timeout });
+    await passwordField.press('Enter');
+  }
+  async isLoggedIn(page) {
+    const { successSelector, loggedOutSelector } = this.config;
+    const isVisible = selector => page.locator(selector).first().isVisible().catch(() => false);
+    if (successSelector) {
+      return isVisible(successSelector);
+    }
+    if (loggedOutSelector && await isVisible(loggedOutSelector)) {
+      return false;
+    }
+    return !(await isVisible('input[type="password"]'));
+  }
+  async verifyStoredSession(page) {
+    if (this.hasRecipe) return;
+    if (!(await this.isLoggedIn(page))) {
+      this.fail('Stored session was not accepted by the site');
+    }
+    this.outcome = 'LOGGED_IN';
+  }
+  async isSessionLost(page) {
+    if (this.outcome !== 'LOGGED_IN') {
+      return false;
+    }
+    if (this.config.loginUrl) {
+      const current = new URL(page.url());
+      const login = new URL(this.config.loginUrl);
+      if (current.host === login.host && current.pathname === login.pathname) {
+        return true;
+      }
+    }
+    // The password-field heuristic is only trusted right after login; mid-crawl
+    // it would flag change-password and similar pages as logged out.
+    if (!this.config.successSelector && !this.config.loggedOutSelector) {
+      return false;
+    }
+    return !(await this.isLoggedIn(page));
+  }
+  async recover(page, failureTracker, pageUrl) {
+    this.sessionLosses.push({ page: pageUrl, timestamp: new Date().toISOString() });
+    failureTracker.addFailure('SESSION_LOST', `Authenticated session was lost while visiting ${pageUrl}`, 'high', pageUrl);
+    if (!this.hasRecipe) {
+      this.outcome = 'SESSION_LOST';
+      return false;
+    }
+    try {
+      await this.login(page, failureTracker, pageUrl);
+      await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: failureTracker.config.PAGE_TIMEOUT });
+      return true;
+    } catch (error) {
+      if (!(error instanceof LoginFailedError)) throw error;
+      failureTracker.addFailure('LOGIN_FAILED', `Re-login after session loss failed: ${error.message}`, 'critical', pageUrl);
+      return false;
+    }
+  }
+  get lost() {
+    return this.outcome === 'LOGIN_FAILED' || this.outcome === 'SESSION_LOST';
+  }
+  getSummary() {
+    return {
+      methods: this.methods,
+      loginUrl: this.config.loginUrl || null,
+      outcome: this.outcome,
+      error: this.error,
+      logins: this.logins,
+      sessionLosses: this.sessionLosses
+    };
+  }
+}
+class SessionRecorder {
+  constructor(config) {
+    this.config = config;
+    this.dir = null;
+    this.startedAt = null;
+    this.annotations = 0;
+  }
+  async prepare() {
+    this.dir = await tmp.dir({ unsafeCleanup: true });
+    this.startedAt = Date.now();
+    return { recordVideo: { dir: this.dir.path, size: this.config.RECORDING_SIZE } };
+  }
+  async annotateElement(element, action, args = []) {
+    this.annotations++;
+    await element.evaluate((el, { action, value }) => {
+      const name = el.getAttribute('aria-label') || el.name || el.id || el.textContent?.trim().substring(0, 40) || el.tagName.toLowerCase();
+      const shown = el.type === 'password' ? '••••••' : value;
+      window.__strikerAnnotate?.(action, shown ? `${name} = ${shown}` : name, el);
+    }, { action, value: typeof args[0] === 'string' ? args[0].substring(0, 40) : null }).catch(() => {});
+  }
+  async annotatePage(page, kind, label) {
+    this.annotations++;
+    await page.evaluate(({ kind, label }) => window.__strikerAnnotate?.(kind, label, null), { kind, label }).catch(() => {});
+  }
+  async clearAnnotations(page) {
+    await page.evaluate(() => window.__strikerClearAnnotations?.()).catch(() => {});
+  }
+  async finish(page) {
+    const video = page.video();
+    if (!video) return null;
+    await page.close();
+    const data = await fs.promises.readFile(await video.path());
+    const recording = {
+      format: 'webm',
+      bytes: data.length,
+      durationMs: Date.now() - this.startedAt,
+      annotations: this.annotations
+    };
+    if (data.length > this.config.MAX_RECORDING_BYTES) {
+      console.log(`🎬 Session recording is ${(data.length / 1024 / 1024).toFixed(1)} MB, too large to store`);
+      return { ...recording, skipped: 'too large' };
+    }
+    console.log(`🎬 Recorded ${Math.round(recording.durationMs / 1000)}s session (${(data.length / 1024).toFixed(0)} KB, ${this.annotations} annotated actions)`);
+    return { ...recording, data };
+  }
+  async dispose() {
+    await this.dir?.cleanup().catch(() => {});
+  }
+}
+const ARTIFACT_TYPES = {
+  trace: { file: 'trace.zip', contentType: 'application/zip' },
+  har: { file: 'network.har', contentType: 'application/json' },
+  recording: { file: 'session.webm', contentType: 'video/webm' }
+};
+const DEBUG_ARTIFACT_KINDS = ['trace', 'har'];
+async function storeReviewArtifact(reviewId, url, kind, data) {
+  const { error } = await supabase.from('review_artifacts').insert([{
+    review_id: reviewId,
+    url,
+    kind,
+    content_type: ARTIFACT_TYPES[kind].contentType,
+    size_bytes: data.length,
+    data_base64: data.toString('base64'),
+    created_at: new Date().toISOString()
+  }]);
+  if (error) {
+    console.error(`❌ Could not store ${kind} for ${url}:`, error.message);
+    return null;
+  }
+  return { kind, bytes: data.length, downloadUrl: `/api/reviews/${reviewId}/artifacts/${kind}` };
+}
+class ReviewArtifacts {
+  constructor(config) {
+    this.config = config;
+    this.dir = null;
+    this.tracing = false;
+  }
+  filePath(kind) {
+    return path.join(this.dir.path, ARTIFACT_TYPES[kind].file);
+  }
+  async prepare() {
+    this.dir = await tmp.dir({ unsafeCleanup: true });
+    return { recordHar: { path: this.filePath('har'), content: 'omit' } };
+  }
+  async startTrace(context) {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+    this.tracing = true;
+  }
+  async stopTrace(context) {
+    if (!this.tracing) return;
+    this.tracing = false;
+    await context.tracing.stop({ path: this.filePath('trace') });
+  }
+  async store(reviewId, url) {
+    const stored = [];
+    for (const kind of DEBUG_ARTIFACT_KINDS) {
+      let data;
+      try {
+        data = await fs.promises.readFile(this.filePath(kind));
+      } catch {
+        continue;
+      }
+      if (data.length > this.config.MAX_ARTIFACT_BYTES) {
+        console.log(`📦 ${kind} for ${url} is ${(data.length / 1024 / 1024).toFixed(1)} MB, too large to store`);
+        stored.push({ kind, bytes: data.length, skipped: 'too large' });
+        continue;
+      }
+      const artifact = await storeReviewArtifact(reviewId, url, kind, data);
+      if (artifact) {
+        stored.push(artifact);
+      }
+    }
+    console.log(`📦 Stored ${stored.filter(artifact => !artifact.skipped).map(artifact => artifact.kind).join(' and ') || 'no'} artifacts for review ${reviewId}`);
+    return stored;
+  }
+  async dispose() {
+    await this.dir?.cleanup().catch(() => {});
+  }
+}
+class BrowserPool {
+  constructor(maxContexts, idleTimeout) {
+    this.maxContexts = maxContexts;
+    this.idleTimeout = idleTimeout;
+    this.activeContexts = 0;
+    // Secondary contexts (device emulation, visual diff) are opened while a URL
+    // run already holds a slot, so one slot stays reserved for them.
+    this.reservedContexts = maxContexts > 1 ? 1 : 0;
+    this.waiters = [];
+    this.nestedWaiters = [];
+    this.browser = null;
+    this.launching = null;
+    this.idleTimer = null;
+  }
+  async getBrowser() {
+    if (this.browser) return this.browser;
+    if (!this.launching) {
+      this.launching = chromium.launch({ 
+        headless: true,
+        args: [
+          '--no-sandbox', 
+          '--disable-setuid-sandbox',
+          '--disable-web-security',
+          '--disable-features=VizDisplayCompositor',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--disable-dev-tools'
+        ]
+      }).then(browser => {
+        browser.on('disconnected', () => {
+          if (this.browser === browser) this.browser = null;
+        });
+        this.browser = browser;
+        return browser;
+      }).finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+  hasRoom(nested) {
+    return this.activeContexts < this.maxContexts - (nested ? 0 : this.reservedContexts);
+  }
+  async acquire({ nested = false } = {}) {
+    clearTimeout(this.idleTimer);
+    if (this.hasRoom(nested)) {
+      this.activeContexts++;
+    } else {
+      await new Promise(resolve => (nested ? this.nestedWaiters : this.waiters).push(resolve));
+    }
+    try {
+      return await this.getBrowser();
+    } catch (error) {
+      this.release();
+      throw error;
+    }
+  }
+  release() {
+    this.activeContexts--;
+    const next = this.nestedWaiters.shift() || (this.hasRoom(false) ? this.waiters.shift() : null);
+    if (next) {
+      this.activeContexts++;
+      next();
+      return;
+    }
+    if (this.activeContexts === 0) {
+      this.idleTimer = setTimeout(() => this.closeIdleBrowser(), this.idleTimeout);
+    }
+  }
+  closeIdleBrowser() {
+    if (this.activeContexts > 0 || !this.browser) return;
+    const browser = this.browser;
+    this.browser = null;
+    console.log('💤 Closing idle browser');
+    browser.close().catch(closeError => {
+      console.log('⚠️ Browser close error:', closeError.message);
+    });
+  }
+  getStatus() {
+    return {
+      activeContexts: this.activeContexts,
+      maxContexts: this.maxContexts,
+      waiting: this.waiters.length + this.nestedWaiters.length,
+      browserRunning: !!this.browser
+    };
+  }
+}
+const browserPool = new BrowserPool(TESTING_CONFIG.MAX_BROWSER_CONTEXTS, TESTING_CONFIG.BROWSER_IDLE_TIMEOUT);
 function rateLimit(req, res, next) {
   const clientIP = req.ip || req.connection.remoteAddress;
   const now = Date.now();
@@ -99,6 +1126,87 @@ function rateLimit(req, res, next) {
   clientData.count++;
   next();
 }
+function describeElementForEvidence(el) {
+  const xpathFor = node => {
+    if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      return `//*[@id="${node.id}"]`;
+    }
+    const parts = [];
+    for (; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const sameTag = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [node];
+      const tag = node.tagName.toLowerCase();
+      parts.unshift(sameTag.length > 1 ? `${tag}[${sameTag.indexOf(node) + 1}]` : tag);
+    }
+    return `/${parts.join('/')}`;
+  };
+  const html = el.outerHTML.replace(/\s+/g, ' ');
+  return {
+    selector: window.__strikerCssPath ? window.__strikerCssPath(el) : null,
+    xpath: xpathFor(el),
+    outerHTML: html.length > 500 ? `${html.substring(0, 500)}…` : html
+  };
+}
+function highlightElementForEvidence(el, padding) {
+  let target = el;
+  while (target.parentElement && (target.getBoundingClientRect().width === 0 || target.getBoundingClientRect().height === 0)) {
+    target = target.parentElement;
+  }
+  const rect = target.getBoundingClientRect();
+  const left = Math.max(0, rect.left + window.scrollX - padding);
+  const top = Math.max(0, rect.top + window.scrollY - padding);
+  const frame = document.createElement('div');
+  frame.style.cssText = `position: absolute; left: ${left}px; top: ${top}px; ` +
+    `width: ${Math.min(rect.width + padding * 2, 1000)}px; height: ${Math.min(rect.height + padding * 2, 600)}px; ` +
+    'pointer-events: none; z-index: 2147483647;';
+  const outline = document.createElement('div');
+  outline.style.cssText = `position: absolute; left: ${rect.left + window.scrollX - left}px; top: ${rect.top + window.scrollY - top}px; ` +
+    `width: ${Math.max(rect.width, 4)}px; height: ${Math.max(rect.height, 4)}px; ` +
+    `border: 3px ${target === el ? 'solid' : 'dashed'} #ef4444; box-sizing: border-box;`;
+  frame.appendChild(outline);
+  document.documentElement.appendChild(frame);
+  return frame;
+}
+async function captureElementEvidence(element, failureTracker) {
+  if (failureTracker.evidenceCount >= failureTracker.config.MAX_FAILURE_EVIDENCE) return null;
+  let evidence;
+  try {
+    evidence = await element.evaluate(describeElementForEvidence);
+  } catch {
+    return null;
+  }
+  failureTracker.evidenceCount++;
+  let frame = null;
+  try {
+    const ownerFrame = await element.ownerFrame();
+    if (ownerFrame) {
+      await failureTracker.recorder?.clearAnnotations(ownerFrame);
+    }
+    frame = (await element.evaluateHandle(highlightElementForEvidence, failureTracker.config.EVIDENCE_PADDING)).asElement();
+    const screenshot = await frame.screenshot({ type: 'jpeg', quality: 70, timeout: failureTracker.config.CLICK_TIMEOUT });
+    evidence.screenshot = failureTracker.addScreenshot({
+      url: failureTracker.currentPage || await element.evaluate(() => location.href),
+      kind: 'evidence',
+      label: `🔎 ${evidence.selector || evidence.xpath}`,
+      data: screenshot
+    });
+  } catch (error) {
+    rethrowIfAborted(error);
+    evidence.screenshotError = error.message;
+  } finally {
+    if (frame) {
+      await frame.evaluate(node => node.remove()).catch(() => {});
+      await frame.dispose().catch(() => {});
+    }
+  }
+  return evidence;
+}
+function addElementFailure(failureTracker, type, message, severity, evidence) {
+  const failure = failureTracker.addFailure(type, message, severity, null, evidence ? { evidence: [] } : null);
+  if (evidence && failure.details?.evidence) {
+    failure.details.evidence.push(evidence);
+  }
+  return failure;
+}
 async function safeElementAction(element, action, failureTracker, ...args) {
   try {
     const isInteractable = await element.evaluate((el) => {
@@ -119,8 +1227,8 @@ async function safeElementAction(element, action, failureTracker, ...args) {
     });
     failureTracker.incrementTested();
     if (!isInteractable.isVisible) {
-      failureTracker.addFailure('HIDDEN_ELEMENT', 
-        `${isInteractable.tagName} element exists but is not visible`, 'medium');
+      addElementFailure(failureTracker, 'HIDDEN_ELEMENT',
+        `${isInteractable.tagName} element exists but is not visible`, 'medium', await captureElementEvidence(element, failureTracker));
       failureTracker.incrementBroken();
       return false;
     }
@@ -131,7 +1239,7 @@ async function safeElementAction(element, action, failureTracker, ...args) {
       return false;
     }
     await element.scrollIntoViewIfNeeded();
-    await new Promise(resolve => setTimeout(resolve, TESTING_CONFIG.INTERACTION_DELAY));
+    await new Promise(resolve => setTimeout(resolve, failureTracker.config.INTERACTION_DELAY));
     const postScrollVisible = await element.evaluate(el => {
       const rect = el.getBoundingClientRect();
       const style = window.getComputedStyle(el);
@@ -141,26 +1249,30 @@ async function safeElementAction(element, action, failureTracker, ...args) {
              rect.left < window.innerWidth && rect.right > 0;
     });
     if (!postScrollVisible) {
-      failureTracker.addFailure('ELEMENT_STILL_HIDDEN_AFTER_SCROLL',
-        `Element still not visible after scroll attempt`, 'critical');
+      addElementFailure(failureTracker, 'ELEMENT_STILL_HIDDEN_AFTER_SCROLL',
+        `Element still not visible after scroll attempt`, 'critical', await captureElementEvidence(element, failureTracker));
       return false;
     }
+    if (failureTracker.recorder) {
+      await failureTracker.recorder.annotateElement(element, action, args);
+    }
     await Promise.race([
       element[action](...args),
       new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Action timeout')), TESTING_CONFIG.CLICK_TIMEOUT)
+        setTimeout(() => reject(new Error('Action timeout')), failureTracker.config.CLICK_TIMEOUT)
       )
     ]);
     return true;
   } catch (error) {
-    failureTracker.addFailure('INTERACTION_FAILED', 
-      `Failed to ${action}: ${error.message}`, 'high');
+    addElementFailure(failureTracker, 'INTERACTION_FAILED',
+      `Failed to ${action}: ${error.message}`, 'high', await captureElementEvidence(element, failureTracker));
     failureTracker.incrementBroken();
     return false;
   }
 }
 async function performHumanLikeScrolling(page, failureTracker) {
   console.log('📜 Performing human-like scrolling and discovery...');
+  failureTracker.currentInteraction = 'scrolling';
   try {
     const pageInfo = await page.evaluate(() => ({
       scrollHeight: document.body.scrollHeight,
@@ -174,6 +1286,7 @@ async function performHumanLikeScrolling(page, failureTracker) {
     const sections = 8;
     const sectionHeight = pageInfo.scrollHeight / sections;
     for (let i = 0; i < sections; i++) {
+      failureTracker.checkpoint();
       const targetY = Math.floor(sectionHeight * i);
       await page.evaluate((target) => {
         return new Promise(resolve => {
@@ -199,19 +1312,20 @@ async function performHumanLikeScrolling(page, failureTracker) {
           requestAnimationFrame(animate);
         });
       }, targetY);
-      await page.waitForTimeout(TESTING_CONFIG.SCROLL_DELAY + Math.random() * 300);
+      await page.waitForTimeout(failureTracker.config.SCROLL_DELAY + Math.random() * 300);
       await discoverNewInteractiveElements(page, failureTracker);
     }
     await page.evaluate(() => window.scrollTo(0, 0));
     await page.waitForTimeout(500);
   } catch (error) {
+    rethrowIfAborted(error);
     failureTracker.addFailure('SCROLLING_ERROR', 
       `Scrolling failed: ${error.message}`, 'medium');
   }
 }
-async function discoverNewInteractiveElements(page, failureTracker) {
+async function discoverNewInteractiveElements(page, failureTracker, { wholePage = false } = {}) {
   try {
-    const elements = await page.evaluate(() => {
+    const elements = await page.evaluate(wholePage => {
       const interactiveSelectors = [
         'button:not([disabled])',
         'input[type="submit"]:not([disabled])',
@@ -230,13 +1344,17 @@ async function discoverNewInteractiveElements(page, failureTracker) {
         '.clickable'
       ];
       const found = [];
+      const seen = new Set();
       for (const selector of interactiveSelectors) {
         const elements = document.querySelectorAll(selector);
         for (const el of elements) {
+          if (seen.has(el)) continue;
           const rect = el.getBoundingClientRect();
-          if (rect.top >= 0 && rect.top <= window.innerHeight && 
+          if ((wholePage || (rect.top >= 0 && rect.top <= window.innerHeight)) && 
               rect.width > 0 && rect.height > 0) {
+            seen.add(el);
             found.push({
+              selector: window.__strikerCssPath ? window.__strikerCssPath(el) : null,
               tag: el.tagName.toLowerCase(),
               type: el.type || null,
               text: el.textContent?.trim().substring(0, 50) || '',
@@ -249,8 +1367,8 @@ async function discoverNewInteractiveElements(page, failureTracker) {
         }
       }
       return found;
-    });
-    console.log(`🔍 Discovered ${elements.length} interactive elements in current viewport`);
+    }, wholePage);
+    console.log(`🔍 Discovered ${elements.length} interactive elements ${wholePage ? 'on the page' : 'in current viewport'}`);
     return elements;
   } catch (error) {
     failureTracker.addFailure('ELEMENT_DISCOVERY_FAILED', 
@@ -258,24 +1376,206 @@ async function discoverNewInteractiveElements(page, failureTracker) {
     return [];
   }
 }
-async function testAllForms(page, failureTracker) {
-  console.log('📋 Testing all forms comprehensively...');
-  const formTestData = {
-    text: ['John Doe', 'Test User', 'Sample Input', 'Valid Text'],
-    email: ['test@example.com', 'user@hackclub.com', 'valid@email.org'],
-    password: ['SecurePass123!', 'TestPassword456#'],
-    number: ['42', '100', '2024'],
-    tel: ['555-123-4567', '(555) 987-6543'],
-    url: ['https://example.com', 'https://hackclub.com'],
-    search: ['test search', 'sample query'],
-    date: ['2024-01-01', '2023-12-25'],
-    time: ['14:30', '09:15'],
-    color: ['#ff0000', '#00ff00']
+const TEST_DATA = {
+  firstName: ['Alex', 'Jordan', 'Sam', 'Taylor', 'Morgan', 'Riley'],
+  lastName: ['Rivera', 'Chen', 'Patel', 'Okafor', 'Novak', 'Larsen'],
+  company: ['Acme Labs', 'Hack Club', 'Globex Corp', 'Initech'],
+  street: ['123 Main St', '42 Elm Avenue', '7 Harbor Road', '900 Pine Street'],
+  city: ['Burlington', 'Portland', 'Austin', 'Denver'],
+  state: ['VT', 'OR', 'TX', 'CO'],
+  country: ['United States', 'Canada', 'United Kingdom'],
+  zip: ['05401', '97201', '73301', '80202'],
+  subject: ['Question about your project', 'Feedback on the website', 'Hello from a tester'],
+  sentence: [
+    'This is an automated functionality test message.',
+    'Testing that this form accepts and handles a realistic message.',
+    'Hello! I am checking whether this form works as expected.'
+  ],
+  search: ['test search', 'sample query', 'getting started'],
+  text: ['Sample Input', 'Valid Text', 'Test Value']
+};
+const SAMPLE_UPLOADS = {
+  image: 'sample.png',
+  pdf: 'sample.pdf',
+  csv: 'sample.csv',
+  text: 'sample.txt'
+};
+const FIELD_HINT_RULES = [
+  { match: /e ?mail/, generate: (field, rng) => emailFor(rng) },
+  { match: /pass ?word|\bpwd\b/, generate: () => 'SecurePass123!' },
+  { match: /cc number|card ?number|credit ?card/, generate: () => '4242424242424242' },
+  { match: /cc csc|\bcvc\b|\bcvv\b|security ?code/, generate: () => '123' },
+  { match: /cc exp|expir/, generate: () => '12/30' },
+  { match: /phone|\btel\b|mobile|\bcell\b/, generate: (field, rng) => `555-${randomDigits(rng, 3)}-${randomDigits(rng, 4)}` },
+  { match: /\bzip\b|postal|post ?code/, generate: (field, rng) => pick(rng, TEST_DATA.zip) },
+  { match: /\bage\b/, generate: (field, rng) => String(numberInRange(field, rng, 18, 80)) },
+  { match: /user ?name|\blogin\b|handle|nick ?name/, generate: (field, rng) => `${pick(rng, TEST_DATA.firstName).toLowerCase()}${randomDigits(rng, 3)}` },
+  { match: /given name|first ?name|\bfname\b/, generate: (field, rng) => pick(rng, TEST_DATA.firstName) },
+  { match: /family name|last ?name|surname|\blname\b/, generate: (field, rng) => pick(rng, TEST_DATA.lastName) },
+  { match: /organi[sz]ation|company|business|employer/, generate: (field, rng) => pick(rng, TEST_DATA.company) },
+  { match: /address level2|\bcity\b|\btown\b/, generate: (field, rng) => pick(rng, TEST_DATA.city) },
+  { match: /address level1|\bstate\b|province|region/, generate: (field, rng) => pick(rng, TEST_DATA.state) },
+  { match: /country/, generate: (field, rng) => pick(rng, TEST_DATA.country) },
+  { match: /address|street/, generate: (field, rng) => pick(rng, TEST_DATA.street) },
+  { match: /\burl\b|website|homepage/, generate: () => 'https://example.com' },
+  { match: /bday|birth|\bdob\b/, generate: () => '05/17/1990' },
+  { match: /name/, generate: (field, rng) => `${pick(rng, TEST_DATA.firstName)} ${pick(rng, TEST_DATA.lastName)}` },
+  { match: /subject|title/, generate: (field, rng) => pick(rng, TEST_DATA.subject) },
+  { match: /message|comment|description|feedback|\bbio\b|about|note/, generate: (field, rng) => pick(rng, TEST_DATA.sentence) },
+  { match: /search|query|\bq\b/, generate: (field, rng) => pick(rng, TEST_DATA.search) }
+];
+const FIELD_TYPE_GENERATORS = {
+  email: (field, rng) => emailFor(rng),
+  password: () => 'SecurePass123!',
+  tel: (field, rng) => `555-${randomDigits(rng, 3)}-${randomDigits(rng, 4)}`,
+  url: () => 'https://example.com',
+  number: (field, rng) => String(numberInRange(field, rng, 1, 100)),
+  range: (field, rng) => String(numberInRange(field, rng, 0, 100)),
+  date: field => /bday|birth|dob/.test(fieldHint(field)) ? '1990-05-17' : '2024-06-15',
+  'datetime-local': () => '2024-06-15T14:30',
+  month: () => '2024-06',
+  week: () => '2024-W24',
+  time: () => '14:30',
+  color: (field, rng) => pick(rng, ['#ec3750', '#338eda', '#33d6a6'])
+};
+function createSeededRandom(seedText) {
+  let hash = 1779033703 ^ seedText.length;
+  for (let i = 0; i < seedText.length; i++) {
+    hash = Math.imul(hash ^ seedText.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+function pick(rng, values) {
+  return values[Math.floor(rng() * values.length)];
+}
+function randomDigits(rng, length) {
+  return Array.from({ length }, () => Math.floor(rng() * 10)).join('');
+}
+function emailFor(rng) {
+  return `${pick(rng, TEST_DATA.firstName).toLowerCase()}.${pick(rng, TEST_DATA.lastName).toLowerCase()}@example.com`;
+}
+function numberInRange(field, rng, defaultMin, defaultMax) {
+  const min = field.min !== '' && !isNaN(Number(field.min)) ? Number(field.min) : defaultMin;
+  const max = field.max !== '' && !isNaN(Number(field.max)) ? Number(field.max) : Math.max(defaultMax, min);
+  const step = field.step !== '' && Number(field.step) > 0 ? Number(field.step) : 1;
+  const steps = Math.floor((max - min) / step);
+  return Number((min + Math.floor(rng() * (steps + 1)) * step).toFixed(6));
+}
+function fieldHint(field) {
+  return [field.name, field.id, field.autocomplete, field.placeholder, field.label]
+    .join(' ')
+    .toLowerCase()
+    .replace(/[_\-.\[\]:]+/g, ' ');
+}
+function conformToPattern(value, field, rng) {
+  if (!field.pattern) return value;
+  let regex;
+  try {
+    regex = new RegExp(`^(?:${field.pattern})$`, 'v');
+  } catch {
+    return value;
+  }
+  if (regex.test(value)) return value;
+  const candidates = [
+    value.replace(/\D/g, ''),
+    value.replace(/[^a-z0-9]/gi, ''),
+    value.toUpperCase(),
+    value.toLowerCase(),
+    ...Array.from({ length: 12 }, (_, i) => randomDigits(rng, i + 1)),
+    'abc',
+    'ABC123'
+  ];
+  return candidates.find(candidate => candidate && regex.test(candidate)) ?? value;
+}
+function sampleUploadFor(accept) {
+  const accepted = (accept || '').toLowerCase();
+  let sample = SAMPLE_UPLOADS.text;
+  if (/image|\.png|\.jpe?g|\.gif|\.webp/.test(accepted)) sample = SAMPLE_UPLOADS.image;
+  else if (/pdf/.test(accepted)) sample = SAMPLE_UPLOADS.pdf;
+  else if (/csv|spreadsheet|excel/.test(accepted)) sample = SAMPLE_UPLOADS.csv;
+  return path.join(__dirname, 'samples', sample);
+}
+function generateFieldValue(field, rng) {
+  if (field.type === 'checkbox' || field.type === 'radio') {
+    return { action: 'check' };
+  }
+  if (field.type === 'file') {
+    return { action: 'upload', value: sampleUploadFor(field.accept) };
+  }
+  if (field.type === 'select') {
+    const options = field.options.filter(option => !option.disabled && option.value !== '');
+    if (options.length === 0) return { action: 'skip' };
+    return { action: 'select', value: pick(rng, options).value };
+  }
+  const hint = fieldHint(field);
+  let value;
+  if (FIELD_TYPE_GENERATORS[field.type]) {
+    value = /\bage\b/.test(hint) && field.type === 'number' ?
+      String(numberInRange(field, rng, 18, 80)) :
+      FIELD_TYPE_GENERATORS[field.type](field, rng);
+  } else {
+    const rule = FIELD_HINT_RULES.find(candidate => candidate.match.test(hint));
+    value = rule ? rule.generate(field, rng) :
+      field.type === 'textarea' ? pick(rng, TEST_DATA.sentence) :
+      field.type === 'search' ? pick(rng, TEST_DATA.search) :
+      pick(rng, TEST_DATA.text);
+  }
+  value = conformToPattern(String(value), field, rng);
+  if (field.minLength && value.length < field.minLength) {
+    value = value.padEnd(field.minLength, 'x');
+  }
+  if (field.maxLength && value.length > field.maxLength) {
+    value = value.substring(0, field.maxLength);
+  }
+  return { action: 'fill', value };
+}
+function describeFormField(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = tag === 'input' ? (el.type || 'text').toLowerCase() : tag;
+  const label = [
+    ...Array.from(el.labels || []).map(labelEl => labelEl.textContent),
+    el.getAttribute('aria-label'),
+    ...(el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean).map(id => document.getElementById(id)?.textContent)
+  ].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim().substring(0, 100);
+  const rect = el.getBoundingClientRect();
+  const style = window.getComputedStyle(el);
+  return {
+    tag,
+    type,
+    name: el.name || '',
+    id: el.id || '',
+    autocomplete: el.getAttribute('autocomplete') || '',
+    placeholder: el.placeholder || '',
+    label,
+    pattern: el.getAttribute('pattern') || '',
+    min: el.getAttribute('min') ?? '',
+    max: el.getAttribute('max') ?? '',
+    step: el.getAttribute('step') ?? '',
+    minLength: el.minLength > 0 ? el.minLength : null,
+    maxLength: el.maxLength > 0 ? el.maxLength : null,
+    required: !!el.required,
+    accept: el.accept || '',
+    options: tag === 'select' ?
+      Array.from(el.options).map(option => ({ value: option.value, text: option.text.trim(), disabled: option.disabled })) :
+      [],
+    visible: rect.width > 1 && rect.height > 1 && style.visibility !== 'hidden' &&
+             style.display !== 'none' && style.opacity !== '0'
   };
+}
+async function testAllForms(page, failureTracker) {
+  console.log('📋 Testing all forms comprehensively...');
   try {
-    const forms = await page.$$('form');
+    let forms = await page.$$('form');
     console.log(`📝 Found ${forms.length} forms to test`);
     for (let formIndex = 0; formIndex < forms.length; formIndex++) {
+      failureTracker.checkpoint();
       const form = forms[formIndex];
       try {
         await form.scrollIntoViewIfNeeded();
@@ -288,46 +1588,69 @@ async function testAllForms(page, failureTracker) {
             action: form.action || 'No action',
             method: form.method || 'GET',
             inputCount: inputs.length,
-            hasSubmitButton: !!submitButton,
-            inputs: Array.from(inputs).map(input => ({
-              type: input.type || input.tagName.toLowerCase(),
-              name: input.name || null,
-              required: input.required || false,
-              placeholder: input.placeholder || ''
-            }))
+            hasSubmitButton: !!submitButton
           };
         }, formIndex);
         console.log(`📋 Testing form: ${formInfo.id} (${formInfo.inputCount} inputs)`);
+        failureTracker.currentInteraction = `filling form ${formInfo.id}`;
         let formInteractionCount = 0;
         let formFailures = 0;
-        for (const inputInfo of formInfo.inputs) {
-          const inputSelector = inputInfo.name ? 
-            `[name="${inputInfo.name}"]` : 
-            `input[type="${inputInfo.type}"], ${inputInfo.type}`;
+        const rng = createSeededRandom(`${failureTracker.config.DATA_SEED}:${page.url()}:${formInfo.id}`);
+        const inputs = await form.$$('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), textarea, select');
+        const fields = [];
+        for (const input of inputs) {
+          const field = await input.evaluate(describeFormField).catch(() => null);
+          if (field) fields.push({ input, field });
+        }
+        const radioGroups = new Map();
+        for (const entry of fields.filter(({ field }) => field.type === 'radio')) {
+          const group = entry.field.name || entry.field.id;
+          radioGroups.set(group, [...(radioGroups.get(group) || []), entry]);
+        }
+        const chosenRadios = new Set(Array.from(radioGroups.values()).map(group => pick(rng, group)));
+        for (const entry of fields) {
+          const { input, field } = entry;
+          if (field.type === 'radio' && !chosenRadios.has(entry)) continue;
+          failureTracker.checkpoint();
           try {
-            const input = await form.$(inputSelector);
-            if (!input) continue;
+            const generated = generateFieldValue(field, rng);
+            if (generated.action === 'skip') continue;
             failureTracker.incrementTested();
             formInteractionCount++;
-            const testData = formTestData[inputInfo.type] || formTestData.text;
-            const value = testData[formInteractionCount % testData.length];
-            const success = await safeElementAction(input, 'fill', failureTracker, value);
+            let success;
+            if (generated.action === 'upload') {
+              await input.setInputFiles(generated.value, { timeout: failureTracker.config.CLICK_TIMEOUT });
+              success = true;
+            } else if (generated.action === 'check' && !field.visible) {
+              await input.setChecked(true, { force: true, timeout: failureTracker.config.CLICK_TIMEOUT });
+              success = true;
+            } else if (generated.action === 'check') {
+              success = await safeElementAction(input, 'check', failureTracker);
+            } else if (generated.action === 'select') {
+              success = await safeElementAction(input, 'selectOption', failureTracker, generated.value);
+            } else {
+              success = await safeElementAction(input, 'fill', failureTracker, generated.value);
+            }
             if (!success) {
               formFailures++;
               failureTracker.addFailure('FORM_INPUT_FAILED', 
-                `Cannot interact with ${inputInfo.type} input in form ${formInfo.id}`, 'high');
+                `Cannot interact with ${field.type} input in form ${formInfo.id}`, 'high');
             } else {
-              await page.waitForTimeout(TESTING_CONFIG.FORM_FILL_DELAY);
+              await page.waitForTimeout(failureTracker.config.FORM_FILL_DELAY);
             }
           } catch (inputError) {
+            rethrowIfAborted(inputError);
             formFailures++;
             failureTracker.addFailure('FORM_INPUT_ERROR', 
-              `Error with input ${inputInfo.type}: ${inputError.message}`, 'high');
+              `Error with input ${field.type}: ${inputError.message}`, 'high');
           }
         }
         if (formInteractionCount > 20 && formFailures / formInteractionCount > 0.8) {
           failureTracker.addFailure('FORM_STUCK', `Form ${formInfo.id} appears stuck (too many retries with invisible elements)`, 'critical');
         }
+        if (failureTracker.config.PHASES.formValidation) {
+          await probeFormValidation(page, form, formInfo, failureTracker);
+        }
         if (formInfo.hasSubmitButton) {
           const submitButton = await form.$('input[type="submit"], button[type="submit"], button:not([type])');
           if (submitButton) {
@@ -343,6 +1666,12 @@ async function testAllForms(page, failureTracker) {
               failureTracker.addFailure('SUBMIT_BUTTON_DISABLED', 
                 `Submit button in form ${formInfo.id} is not clickable`, 'critical');
               formFailures++;
+            } else if (failureTracker.config.PHASES.formSubmission) {
+              failureTracker.currentInteraction = `submitting form ${formInfo.id}`;
+              const submission = await submitFormAndClassify(page, form, submitButton, formInfo, failureTracker);
+              if (submission?.navigated) {
+                forms = await page.$$('form');
+              }
             }
           }
         } else {
@@ -354,15 +1683,486 @@ async function testAllForms(page, failureTracker) {
             `Form ${formInfo.id} has ${formFailures}/${formInteractionCount} broken elements`, 'critical');
         }
       } catch (formError) {
+        rethrowIfAborted(formError);
         failureTracker.addFailure('FORM_TEST_ERROR', 
           `Could not test form ${formIndex}: ${formError.message}`, 'high');
       }
     }
   } catch (error) {
+    rethrowIfAborted(error);
     failureTracker.addFailure('FORM_TESTING_FAILED', 
       `Form testing failed: ${error.message}`, 'medium');
   }
 }
+function describeValidationTarget(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = tag === 'input' ? (el.type || 'text') : tag;
+  const name = el.name || el.id || el.getAttribute('aria-label') || type;
+  const textLike = ['text', 'email', 'search', 'tel', 'url', 'password', 'textarea'].includes(type);
+  const probes = [];
+  const required = el.required || el.getAttribute('aria-required') === 'true';
+  if (required && (textLike || ['number', 'select', 'checkbox', 'date'].includes(type))) {
+    probes.push({ probe: 'required_empty', value: '' });
+  }
+  if (type === 'email' || (textLike && /e-?mail/i.test(`${el.name} ${el.id} ${el.autocomplete}`))) {
+    probes.push({ probe: 'invalid_email', value: 'not-an-email@' });
+  }
+  if (type === 'number' || type === 'range') {
+    if (el.max !== '') probes.push({ probe: 'out_of_range', value: String(Number(el.max) + 1000) });
+    else if (el.min !== '') probes.push({ probe: 'out_of_range', value: String(Number(el.min) - 1000) });
+  }
+  if (textLike && type !== 'password') {
+    const limit = el.maxLength > 0 ? el.maxLength : null;
+    probes.push({ probe: 'overlong', value: 'A'.repeat(limit ? limit + 50 : 5000), maxLength: limit });
+  }
+  if (el.pattern) {
+    try {
+      const regex = new RegExp(`^(?:${el.pattern})$`, 'v');
+      const candidate = ['!!!', 'zzzz', '0', '-', 'A1 b2'].find(value => !regex.test(value));
+      if (candidate) probes.push({ probe: 'pattern_violation', value: candidate });
+    } catch {
+    }
+  }
+  return {
+    name,
+    type,
+    value: type === 'checkbox' ? el.checked : el.value,
+    noValidate: !!el.form?.noValidate,
+    probes
+  };
+}
+function runValidationProbe(el, settleDelay) {
+  if (!el.form) {
+    return Promise.resolve({ handled: false, mechanism: null, message: 'Field is not associated with a form' });
+  }
+  const isVisible = node => {
+    const rect = node.getBoundingClientRect();
+    const style = window.getComputedStyle(node);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const errorSelector = '.error, .errors, .invalid-feedback, .field-error, .form-error, .help-block, .text-danger, [role="alert"]';
+  const visibleErrors = () => Array.from(el.form.querySelectorAll(errorSelector))
+    .filter(isVisible).map(node => node.textContent.trim()).filter(Boolean);
+  const baseline = new Set(visibleErrors());
+  return new Promise(resolve => {
+    const form = el.form;
+    const blockSubmit = event => event.preventDefault();
+    window.addEventListener('submit', blockSubmit, true);
+    let invalidEvent = false;
+    const onInvalid = () => {
+      invalidEvent = true;
+    };
+    form.addEventListener('invalid', onInvalid, true);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    el.dispatchEvent(new FocusEvent('blur'));
+    el.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+    try {
+      if (form.requestSubmit) {
+        form.requestSubmit();
+      } else {
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+      }
+    } catch {
+    }
+    setTimeout(() => {
+      window.removeEventListener('submit', blockSubmit, true);
+      form.removeEventListener('invalid', onInvalid, true);
+      const html5Message = !form.noValidate && !el.checkValidity() ? el.validationMessage : null;
+      const describedBy = `${el.getAttribute('aria-describedby') || ''} ${el.getAttribute('aria-errormessage') || ''}`
+        .split(/\s+/).filter(Boolean)
+        .map(id => document.getElementById(id))
+        .filter(node => node && isVisible(node))
+        .map(node => node.textContent.trim())
+        .filter(Boolean);
+      const newErrors = visibleErrors().filter(text => !baseline.has(text));
+      const customMessage = [...describedBy, ...newErrors][0] ||
+        (el.getAttribute('aria-invalid') === 'true' ? 'Field marked aria-invalid' : null);
+      resolve({
+        handled: !!(html5Message || customMessage || invalidEvent),
+        mechanism: html5Message || invalidEvent ? 'html5' : customMessage ? 'custom' : null,
+        message: html5Message || customMessage || null
+      });
+    }, settleDelay);
+  });
+}
+async function setProbeValue(field, target, value) {
+  if (target.type === 'checkbox') {
+    await field.setChecked(value === true, { timeout: 2000 });
+  } else if (target.type === 'select') {
+    await field.evaluate((el, v) => {
+      el.value = v;
+    }, value);
+  } else {
+    await field.fill(String(value), { timeout: 2000 });
+  }
+}
+async function probeFormValidation(page, form, formInfo, failureTracker) {
+  failureTracker.currentInteraction = `probing validation of form ${formInfo.id}`;
+  const config = failureTracker.config;
+  const pageUrl = page.url();
+  const blockedRequests = [];
+  const routeHandler = route => {
+    const request = route.request();
+    if (request.method() !== 'GET' || (request.isNavigationRequest() && request.frame() === page.mainFrame())) {
+      blockedRequests.push({ method: request.method(), url: request.url() });
+      return route.abort();
+    }
+    return route.fallback();
+  };
+  const report = { page: pageUrl, formId: formInfo.id, probes: [] };
+  await page.route('**/*', routeHandler);
+  try {
+    const fields = await form.$$('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select');
+    for (const field of fields) {
+      if (report.probes.length >= config.FORM_VALIDATION_MAX_PROBES) break;
+      failureTracker.checkpoint();
+      const target = await field.evaluate(describeValidationTarget).catch(() => null);
+      if (!target || target.probes.length === 0) continue;
+      for (const probe of target.probes) {
+        if (report.probes.length >= config.FORM_VALIDATION_MAX_PROBES) break;
+        const requestsBefore = blockedRequests.length;
+        try {
+          await setProbeValue(field, target, target.type === 'checkbox' && probe.probe === 'required_empty' ? false : probe.value);
+          let outcome;
+          if (probe.probe === 'overlong' && probe.maxLength) {
+            const length = await field.evaluate(el => el.value.length);
+            outcome = length <= probe.maxLength ?
+              { handled: true, mechanism: 'maxlength', message: `Input truncated to ${probe.maxLength} characters` } :
+              await field.evaluate(runValidationProbe, config.FORM_VALIDATION_SETTLE_DELAY);
+          } else {
+            outcome = await field.evaluate(runValidationProbe, config.FORM_VALIDATION_SETTLE_DELAY);
+          }
+          const submittedGarbage = blockedRequests.length > requestsBefore;
+          const result = {
+            field: target.name,
+            fieldType: target.type,
+            probe: probe.probe,
+            value: String(probe.value).substring(0, 40),
+            handled: outcome.handled && !submittedGarbage,
+            mechanism: outcome.mechanism,
+            message: outcome.message,
+            submittedGarbage
+          };
+          report.probes.push(result);
+          if (!result.handled) {
+            const failure = VALIDATION_PROBE_FAILURES[probe.probe];
+            failureTracker.addFailure(failure.type, 
+              `Form ${formInfo.id} ${failure.label} (${target.name})${submittedGarbage ? ' and tried to submit it' : ''}`, failure.severity, pageUrl, {
+                formId: formInfo.id,
+                field: target.name,
+                probe: probe.probe,
+                value: result.value
+              });
+          }
+        } catch (probeError) {
+          rethrowIfAborted(probeError);
+          report.probes.push({ field: target.name, fieldType: target.type, probe: probe.probe, error: probeError.message });
+        } finally {
+          await setProbeValue(field, target, target.value).catch(() => {});
+        }
+      }
+    }
+  } finally {
+    await page.unroute('**/*', routeHandler).catch(() => {});
+  }
+  const unhandled = report.probes.filter(p => p.handled === false).length;
+  console.log(`🧪 Form ${formInfo.id} validation: ${report.probes.length} probes, ${unhandled} accepted bad input`);
+  failureTracker.formValidation.push(report);
+  return report;
+}
+async function submitFormAndClassify(page, form, submitButton, formInfo, failureTracker) {
+  if (await isSafeClickDenied(submitButton, failureTracker)) {
+    return null;
+  }
+  const config = failureTracker.config;
+  const startUrl = page.url();
+  const interceptUrl = config.FORM_SUBMIT_INTERCEPT_URL;
+  const requests = [];
+  const responses = [];
+  let navigated = false;
+  const isSubmissionRequest = request =>
+    request.method() !== 'GET' || (request.isNavigationRequest() && request.frame() === page.mainFrame());
+  const routeHandler = route => {
+    const request = route.request();
+    if (!isSubmissionRequest(request)) {
+      return route.fallback();
+    }
+    requests.push({
+      method: request.method(),
+      url: request.url(),
+      postData: request.postData()?.substring(0, 1000) || null,
+      redirectedTo: interceptUrl
+    });
+    return interceptUrl ? route.continue({ url: interceptUrl }) : route.fallback();
+  };
+  const onResponse = response => {
+    if (isSubmissionRequest(response.request())) {
+      responses.push({ url: response.url(), status: response.status() });
+    }
+  };
+  const onNavigation = frame => {
+    if (frame === page.mainFrame()) {
+      navigated = true;
+    }
+  };
+  console.log(`📨 Submitting form ${formInfo.id}${interceptUrl ? ` (intercepted to ${interceptUrl})` : ''}...`);
+  const textBefore = await page.evaluate(() => document.body.innerText || '');
+  await page.route('**/*', routeHandler);
+  page.on('response', onResponse);
+  page.on('framenavigated', onNavigation);
+  let state = null;
+  try {
+    await submitButton.click({ timeout: config.CLICK_TIMEOUT });
+    await page.waitForLoadState('domcontentloaded', { timeout: config.PAGE_TIMEOUT }).catch(() => {});
+    await page.waitForTimeout(config.FORM_SUBMIT_SETTLE_DELAY);
+    state = await form.evaluate(f => {
+      const isVisible = el => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+      const invalidFields = Array.from(f.elements)
+        .filter(el => el.willValidate && !el.checkValidity())
+        .map(el => ({ name: el.name || el.id || el.type, message: el.validationMessage }));
+      const inlineErrors = Array.from(document.querySelectorAll(
+        '.error, .errors, .invalid-feedback, .field-error, .form-error, [aria-invalid="true"], [role="alert"]'
+      )).filter(isVisible).map(el => (el.textContent || el.getAttribute('aria-label') || '').trim()).filter(Boolean);
+      return { invalidFields, inlineErrors, text: document.body.innerText || '' };
+    }).catch(() => null);
+  } catch (error) {
+    rethrowIfAborted(error);
+    state = { clickError: error.message };
+  } finally {
+    await page.unroute('**/*', routeHandler).catch(() => {});
+    page.off('response', onResponse);
+    page.off('framenavigated', onNavigation);
+  }
+  if (page.url() !== startUrl || !state) {
+    navigated = true;
+  }
+  const previousLines = new Set(textBefore.split('\n').map(line => line.trim()));
+  const newText = (state?.text || (navigated ? await page.evaluate(() => document.body.innerText || '').catch(() => '') : ''))
+    .split('\n').map(line => line.trim()).filter(line => line && !previousLines.has(line)).join(' ');
+  const httpError = responses.find(response => response.status >= 400);
+  const successPattern = /(thank(s| you)|success|submitted|received|we('|’)ll be in touch|message sent|confirm)/i;
+  let verdict;
+  let detail;
+  if (state?.clickError) {
+    verdict = 'NO_RESPONSE';
+    detail = `Submit click failed: ${state.clickError}`;
+  } else if (httpError) {
+    verdict = 'HTTP_ERROR';
+    detail = `${httpError.url} returned HTTP ${httpError.status}`;
+  } else if (state && (state.invalidFields.length > 0 || state.inlineErrors.length > 0)) {
+    verdict = 'VALIDATION_ERROR';
+    detail = [...state.invalidFields.map(field => `${field.name}: ${field.message}`), ...state.inlineErrors].slice(0, 5).join('; ');
+  } else if (navigated) {
+    verdict = 'SUCCESS_NAVIGATION';
+    detail = `Navigated to ${page.url()}`;
+  } else if (successPattern.test(newText)) {
+    verdict = 'INLINE_SUCCESS';
+    detail = newText.substring(0, 200);
+  } else {
+    verdict = 'NO_RESPONSE';
+    detail = requests.length > 0 ?
+      `Submission sent (${requests.map(r => `${r.method} ${r.url}`).join(', ')}) but the page showed no feedback` :
+      'Nothing was sent and the page did not change';
+  }
+  const submission = {
+    page: startUrl,
+    formId: formInfo.id,
+    action: formInfo.action,
+    method: formInfo.method,
+    verdict,
+    detail,
+    status: httpError?.status || responses[responses.length - 1]?.status || null,
+    requests,
+    navigated
+  };
+  failureTracker.formSubmissions.push(submission);
+  console.log(`📨 Form ${formInfo.id} submission verdict: ${verdict} - ${detail}`);
+  if (verdict === 'HTTP_ERROR') {
+    failureTracker.addFailure('FORM_SUBMIT_HTTP_ERROR', 
+      `Form ${formInfo.id} submission failed: ${detail}`, httpError.status >= 500 ? 'critical' : 'high', startUrl);
+  } else if (verdict === 'NO_RESPONSE') {
+    failureTracker.addFailure('FORM_SUBMIT_NO_RESPONSE', 
+      `Form ${formInfo.id} submission had no visible outcome: ${detail}`, 'high', startUrl);
+  } else if (verdict === 'VALIDATION_ERROR') {
+    failureTracker.addFailure('FORM_SUBMIT_REJECTED', 
+      `Form ${formInfo.id} rejected valid test data: ${detail}`, 'medium', startUrl);
+  }
+  if (navigated) {
+    await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout: config.PAGE_TIMEOUT }).catch(error => {
+      failureTracker.addWarning(`Could not return to ${startUrl} after form submission: ${error.message}`, startUrl);
+    });
+  }
+  return submission;
+}
+function cssPathForElement(el) {
+  if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+    return `#${CSS.escape(el.id)}`;
+  }
+  const parts = [];
+  let node = el;
+  while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+    if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    let part = node.tagName.toLowerCase();
+    const parent = node.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+    }
+    parts.unshift(part);
+    node = parent;
+  }
+  return parts.join(' > ');
+}
+function isHashRoute(hash) {
+  return /^#!?\//.test(hash);
+}
+function isClientRouteChange(fromUrl, toUrl) {
+  const from = new URL(fromUrl);
+  const to = new URL(toUrl);
+  if (from.origin !== to.origin) return false;
+  return from.pathname !== to.pathname || from.search !== to.search ||
+         (from.hash !== to.hash && isHashRoute(to.hash));
+}
+function recordSpaRoute(failureTracker, url, fromUrl, trigger) {
+  const { spaRoutes } = failureTracker.crawl;
+  if (spaRoutes.some(route => route.url === url)) return;
+  spaRoutes.push({ url, from: fromUrl, trigger });
+  console.log(`🧭 Client-side route discovered: ${url}`);
+}
+async function fingerprintPageContent(page) {
+  const content = await page.evaluate(() =>
+    `${document.title}\n${document.body?.innerText || ''}`.replace(/\s+/g, ' ').trim()
+  ).catch(() => '');
+  return content ? createHash('sha1').update(content).digest('hex') : null;
+}
+async function claimPageContent(page, failureTracker, pageUrl) {
+  const fingerprint = await fingerprintPageContent(page);
+  if (!fingerprint) return null;
+  const { contentFingerprints } = failureTracker;
+  if (contentFingerprints.has(fingerprint)) {
+    return contentFingerprints.get(fingerprint);
+  }
+  contentFingerprints.set(fingerprint, pageUrl);
+  return null;
+}
+async function observeClickEffects(page, element, click) {
+  const effects = {
+    domMutations: 0,
+    navigated: false,
+    networkRequests: 0,
+    focusChanged: false,
+    dialog: false,
+    modal: false,
+    clientRoute: null
+  };
+  const startUrl = page.url();
+  const onRequest = () => {
+    effects.networkRequests++;
+  };
+  const onDialog = dialog => {
+    effects.dialog = true;
+    dialog.dismiss().catch(() => {});
+  };
+  const onNavigation = frame => {
+    if (frame === page.mainFrame()) {
+      effects.navigated = true;
+    }
+  };
+  page.on('request', onRequest);
+  page.on('dialog', onDialog);
+  page.on('framenavigated', onNavigation);
+  try {
+    await element.evaluate(el => {
+      const probe = { mutations: 0, target: el, activeElement: document.activeElement };
+      probe.observer = new MutationObserver(records => {
+        probe.mutations += records.length;
+      });
+      probe.observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      });
+      window.__strikerClickProbe = probe;
+    }).catch(() => {});
+    const clicked = await click();
+    if (!clicked) {
+      return { clicked, effects, hasEffect: true };
+    }
+    await page.waitForTimeout(800);
+    const probeResult = await page.evaluate(() => {
+      const probe = window.__strikerClickProbe;
+      if (!probe) return null;
+      probe.observer.disconnect();
+      delete window.__strikerClickProbe;
+      const active = document.activeElement;
+      const modal = Array.from(document.querySelectorAll(
+        '.modal, .popup, .dialog, [role="dialog"], [role="alertdialog"], .overlay, .lightbox, dialog[open]'
+      )).some(el => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 &&
+               style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+      });
+      return {
+        mutations: probe.mutations,
+        focusChanged: active !== probe.activeElement && active !== probe.target && !probe.target.contains(active),
+        modal
+      };
+    }).catch(() => null);
+    if (page.url() !== startUrl) {
+      effects.navigated = true;
+      if (probeResult && isClientRouteChange(startUrl, page.url())) {
+        effects.clientRoute = page.url();
+      }
+    }
+    if (probeResult) {
+      effects.domMutations = probeResult.mutations;
+      effects.focusChanged = probeResult.focusChanged;
+      effects.modal = probeResult.modal;
+    } else {
+      effects.navigated = true;
+    }
+    const hasEffect = effects.domMutations > 0 || effects.navigated || effects.networkRequests > 0 ||
+                      effects.focusChanged || effects.dialog || effects.modal;
+    return { clicked, effects, hasEffect };
+  } finally {
+    page.off('request', onRequest);
+    page.off('dialog', onDialog);
+    page.off('framenavigated', onNavigation);
+  }
+}
+function describeClickTarget(element, policy) {
+  return element.evaluate((el, denySelectors) => ({
+    tagName: el.tagName.toLowerCase(),
+    text: el.textContent?.trim() || '',
+    href: el.href || null,
+    type: el.type || null,
+    id: el.id || null,
+    className: el.className || '',
+    ariaLabel: el.getAttribute('aria-label'),
+    title: el.getAttribute('title'),
+    value: el.tagName === 'INPUT' ? el.value : null,
+    formAction: el.form ? (el.getAttribute('formaction') ? el.formAction : el.form.action) : null,
+    deniedSelector: denySelectors.find(selector => {
+      try {
+        return el.closest(selector) !== null;
+      } catch {
+        return false;
+      }
+    }) || null
+  }), policy.enabled ? policy.denySelectors : []);
+}
 async function testAllInteractiveElements(page, failureTracker) {
   console.log('🖱️ Testing all interactive elements...');
   const buttonSelectors = [
@@ -376,659 +2176,2677 @@ async function testAllInteractiveElements(page, failureTracker) {
     '[onclick]:not([disabled])',
     '[data-action]:not([disabled])'
   ];
-  for (const selector of buttonSelectors) {
-    try {
-      const elements = await page.$$(selector);
-      console.log(`🔘 Testing ${elements.length} elements matching: ${selector}`);
-      for (let i = 0; i < elements.length; i++) {
-        const element = elements[i];
-        try {
-          const elementInfo = await element.evaluate(el => ({
-            tagName: el.tagName.toLowerCase(),
-            text: el.textContent?.trim() || '',
-            href: el.href || null,
-            type: el.type || null,
-            id: el.id || null,
-            className: el.className || ''
-          }));
-          console.log(`🔗 Testing: ${elementInfo.tagName} "${elementInfo.text.substring(0, 30)}"`);
-          await element.scrollIntoViewIfNeeded();
-          await page.waitForTimeout(200);
-          await element.hover();
-          await page.waitForTimeout(100);
-          const beforeClick = Date.now();
-          const clickSuccess = await safeElementAction(element, 'click', failureTracker);
-          const afterClick = Date.now();
-          if (clickSuccess) {
-            await page.waitForTimeout(800);
-            const hasModal = await page.$('.modal, .popup, .dialog, [role="dialog"], .overlay, .lightbox');
-            const currentUrl = page.url();
-            if (hasModal) {
-              console.log('🔮 Modal detected after click, attempting to close...');
-              const closeSelectors = [
-                '.modal .close', '.popup .close', '[aria-label*="close" i]',
-                '.modal button[data-dismiss]', '.overlay .close-btn',
-                'button[data-bs-dismiss="modal"]', '.modal-close', 'button[aria-label="Close"]'
-              ];
-              for (const closeSelector of closeSelectors) {
-                const closeBtn = await page.$(closeSelector);
-                if (closeBtn) {
-                  await safeElementAction(closeBtn, 'click', failureTracker);
-                  await page.waitForTimeout(300);
-                  break;
+  const policy = failureTracker.safeClick;
+  const blockRequests = policy.enabled && policy.blockUnsafeRequests;
+  let clickTrigger = null;
+  const blockUnsafeRequest = route => {
+    const request = route.request();
+    if (!clickTrigger || ['GET', 'HEAD', 'OPTIONS'].includes(request.method())) {
+      return route.fallback();
+    }
+    failureTracker.blockedRequests.push({
+      page: failureTracker.currentPage,
+      trigger: clickTrigger,
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      postData: (request.postData() || '').substring(0, 2000),
+      timestamp: new Date().toISOString()
+    });
+    console.log(`🛡️ Blocked ${request.method()} ${request.url()} triggered by "${clickTrigger}"`);
+    return route.abort('blockedbyclient');
+  };
+  if (blockRequests) {
+    await page.route('**/*', blockUnsafeRequest);
+  }
+  try {
+    for (const selector of buttonSelectors) {
+      try {
+        const elements = await page.$$(selector);
+        console.log(`🔘 Testing ${elements.length} elements matching: ${selector}`);
+        for (let i = 0; i < elements.length; i++) {
+          failureTracker.checkpoint();
+          const element = elements[i];
+          try {
+            const elementInfo = await describeClickTarget(element, policy);
+            const denial = safeClickDenial(elementInfo, policy);
+            if (denial) {
+              const selector = await element.evaluate(cssPathForElement).catch(() => null);
+              recordSkippedElement(failureTracker, {
+                kind: elementInfo.tagName,
+                text: elementInfo.text.substring(0, 100),
+                href: elementInfo.href,
+                selector,
+                ...denial
+              });
+              continue;
+            }
+            console.log(`🔗 Testing: ${elementInfo.tagName} "${elementInfo.text.substring(0, 30)}"`);
+            await element.scrollIntoViewIfNeeded();
+            await page.waitForTimeout(200);
+            await element.hover();
+            await page.waitForTimeout(100);
+            const selector = await element.evaluate(cssPathForElement).catch(() => null);
+            const urlBeforeClick = page.url();
+            const beforeClick = Date.now();
+            clickTrigger = elementInfo.text.substring(0, 50) || selector;
+            failureTracker.currentInteraction = `click ${elementInfo.tagName} "${clickTrigger}"`;
+            const { clicked: clickSuccess, effects, hasEffect } = await observeClickEffects(page, element, () =>
+              safeElementAction(element, 'click', failureTracker)
+            ).finally(() => {
+              clickTrigger = null;
+            });
+            const afterClick = Date.now();
+            if (clickSuccess && !hasEffect) {
+              failureTracker.addFailure('DEAD_CLICK', 
+                `Clicking ${elementInfo.tagName} "${elementInfo.text.substring(0, 50)}" had no observable effect`, 'high', page.url(), {
+                  text: elementInfo.text.substring(0, 100),
+                  selector,
+                  href: elementInfo.href,
+                  effects
+                });
+              failureTracker.incrementBroken();
+            } else if (clickSuccess && effects.clientRoute) {
+              recordSpaRoute(failureTracker, effects.clientRoute, urlBeforeClick, elementInfo.text.substring(0, 50));
+              await page.goBack({ timeout: failureTracker.config.CLICK_TIMEOUT }).catch(() => {});
+              await page.waitForTimeout(200);
+            } else if (clickSuccess) {
+              const hasModal = await page.$('.modal, .popup, .dialog, [role="dialog"], .overlay, .lightbox');
+              const currentUrl = page.url();
+              if (hasModal) {
+                console.log('🔮 Modal detected after click, attempting to close...');
+                const closeSelectors = [
+                  '.modal .close', '.popup .close', '[aria-label*="close" i]',
+                  '.modal button[data-dismiss]', '.overlay .close-btn',
+                  'button[data-bs-dismiss="modal"]', '.modal-close', 'button[aria-label="Close"]'
+                ];
+                for (const closeSelector of closeSelectors) {
+                  const closeBtn = await page.$(closeSelector);
+                  if (closeBtn) {
+                    await safeElementAction(closeBtn, 'click', failureTracker);
+                    await page.waitForTimeout(300);
+                    break;
+                  }
                 }
               }
+              console.log(`✅ Element responded in ${afterClick - beforeClick}ms`);
             }
-            console.log(`✅ Element responded in ${afterClick - beforeClick}ms`);
+          } catch (elementError) {
+            rethrowIfAborted(elementError);
+            failureTracker.addFailure('ELEMENT_INTERACTION_ERROR', 
+              `Error testing element: ${elementError.message}`, 'high');
           }
-        } catch (elementError) {
-          failureTracker.addFailure('ELEMENT_INTERACTION_ERROR', 
-            `Error testing element: ${elementError.message}`, 'high');
         }
+      } catch (selectorError) {
+        rethrowIfAborted(selectorError);
+        failureTracker.addFailure('SELECTOR_ERROR', 
+          `Error with selector ${selector}: ${selectorError.message}`, 'medium');
       }
-    } catch (selectorError) {
-      failureTracker.addFailure('SELECTOR_ERROR', 
-        `Error with selector ${selector}: ${selectorError.message}`, 'medium');
+    }
+  } finally {
+    if (blockRequests) {
+      await page.unroute('**/*', blockUnsafeRequest).catch(() => {});
     }
   }
 }
-async function performComprehensiveNavigation(page, baseUrl, failureTracker, maxDepth = TESTING_CONFIG.MAX_DEPTH, currentDepth = 0, visitedUrls = new Set()) {
-  if (currentDepth >= maxDepth || visitedUrls.size >= TESTING_CONFIG.MAX_PAGES_TO_TEST) {
-    console.log(`🛑 Stopping navigation: depth ${currentDepth}/${maxDepth}, pages ${visitedUrls.size}/${TESTING_CONFIG.MAX_PAGES_TO_TEST}`);
-    return;
+function inspectFocusedElement() {
+  let el = document.activeElement;
+  if (!el || el === document.body || el === document.documentElement) return null;
+  // Iframes and shadow hosts stay document.activeElement while Tab moves through
+  // their own stops, so follow focus down to the element that really has it.
+  const path = [];
+  let host = null;
+  let crossOrigin = false;
+  for (;;) {
+    let inner = el.shadowRoot?.activeElement || null;
+    if (el.tagName === 'IFRAME') {
+      let frameDocument = null;
+      try {
+        frameDocument = el.contentDocument;
+      } catch {
+        frameDocument = null;
+      }
+      crossOrigin = !frameDocument;
+      inner = frameDocument?.activeElement === frameDocument?.body ? null : frameDocument?.activeElement || null;
+    }
+    if (!inner) break;
+    path.push(window.__strikerCssPath(el));
+    host = host || path[0];
+    el = inner;
   }
-  console.log(`🗺️ Deep navigation (depth ${currentDepth + 1}/${maxDepth})...`);
-  try {
-    const links = await page.evaluate((base, visited) => {
-      const allLinks = Array.from(document.querySelectorAll('a[href]'));
-      const navLinks = allLinks.filter(a => {
-        const parent = a.closest('nav, .navigation, .navbar, .menu, header, .header');
-        return parent !== null;
-      });
-      const otherLinks = allLinks.filter(a => {
-        const parent = a.closest('nav, .navigation, .navbar, .menu, header, .header');
-        return parent === null;
+  const selector = [...path, window.__strikerCssPath(el)].join(' ');
+  if (crossOrigin) {
+    return { selector, tag: 'iframe', text: el.title || '', indicatorVisible: null, modal: null, customControl: false, host: selector, crossOrigin };
+  }
+  const focusStyle = () => {
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    return [style.outlineStyle, style.outlineWidth, style.outlineColor, style.boxShadow,
+      style.borderColor, style.backgroundColor, style.color, style.textDecorationLine].join('|');
+  };
+  const focused = focusStyle();
+  el.blur();
+  const blurred = focusStyle();
+  el.focus({ preventScroll: true });
+  const modal = el.closest('dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"]');
+  const nativelyActivatable = el.matches('a[href], button, input, select, textarea, summary, [contenteditable]');
+  return {
+    selector,
+    tag: el.tagName.toLowerCase(),
+    text: el.textContent?.trim().substring(0, 50) || el.getAttribute('aria-label') || '',
+    indicatorVisible: focused !== blurred,
+    modal: modal && !host ? window.__strikerCssPath(modal) : null,
+    customControl: !host && !nativelyActivatable && (el.getAttribute('role') === 'button' || el.hasAttribute('onclick') || el.hasAttribute('data-action')),
+    host,
+    crossOrigin
+  };
+}
+function isWithinSelector(selector, ancestor) {
+  return selector === ancestor || selector.startsWith(`${ancestor} > `);
+}
+async function tabThroughPage(page, failureTracker, report, maxTabs) {
+  const seen = new Set();
+  const escapedModals = new Set();
+  await page.evaluate(() => {
+    document.activeElement?.blur?.();
+    window.scrollTo(0, 0);
+  });
+  for (let i = 0; i < maxTabs; i++) {
+    failureTracker.checkpoint();
+    await page.keyboard.press('Tab');
+    const state = await page.evaluate(inspectFocusedElement).catch(() => null);
+    if (!state) {
+      if (report.focusOrder.length > 0) break;
+      continue;
+    }
+    if (!seen.has(state.selector)) {
+      seen.add(state.selector);
+      report.focusOrder.push(state);
+      continue;
+    }
+    // A cross-origin embed repeats its iframe selector for every stop inside it,
+    // and only a revisit in the top document counts as a cycle.
+    if (state.host) {
+      continue;
+    }
+    if (state.modal && !escapedModals.has(state.modal)) {
+      await page.keyboard.press('Escape');
+      await page.waitForTimeout(300);
+      const after = await page.evaluate(inspectFocusedElement).catch(() => null);
+      const stillVisible = await page.locator(state.modal).first().isVisible().catch(() => false);
+      if (stillVisible && after?.modal === state.modal) {
+        report.traps.push({ selector: state.modal, modal: true });
+        failureTracker.addFailure('MODAL_FOCUS_TRAP',
+          `Focus is trapped in ${state.modal} and Escape does not close it`, 'high', null, { wcag: '2.1.2 No Keyboard Trap (A)', selector: state.modal });
+        break;
+      }
+      escapedModals.add(state.modal);
+      continue;
+    }
+    if (!state.modal) {
+      const cycle = report.focusOrder.slice(report.focusOrder.findIndex(entry => entry.selector === state.selector));
+      report.traps.push({ selector: state.selector, modal: false, cycleLength: cycle.length });
+      failureTracker.addFailure('KEYBOARD_TRAP',
+        `Tab cycles through ${cycle.length} elements starting at ${state.selector} without leaving the page`, 'high', null, {
+          wcag: '2.1.2 No Keyboard Trap (A)',
+          elements: cycle.slice(0, 10).map(entry => entry.selector)
+        });
+    }
+    break;
+  }
+}
+async function testKeyboardActivation(page, failureTracker, report) {
+  const policy = failureTracker.safeClick;
+  const startUrl = page.url();
+  const candidates = report.focusOrder.filter(entry => entry.customControl).slice(0, failureTracker.config.KEYBOARD_MAX_ACTIVATIONS);
+  for (const candidate of candidates) {
+    failureTracker.checkpoint();
+    const element = await page.$(candidate.selector);
+    if (!element) continue;
+    const elementInfo = await describeClickTarget(element, policy);
+    const denial = safeClickDenial(elementInfo, policy);
+    if (denial) {
+      recordSkippedElement(failureTracker, {
+        kind: elementInfo.tagName,
+        text: elementInfo.text.substring(0, 100),
+        href: elementInfo.href,
+        selector: candidate.selector,
+        ...denial
       });
-      const processLinks = (links) => {
-        return links
-          .map(a => {
-            try {
-              const url = new URL(a.href, base);
-              return {
-                href: url.href,
-                text: a.textContent?.trim() || '',
-                isInternal: url.hostname === new URL(base).hostname
-              };
-            } catch {
-              return null;
-            }
-          })
-          .filter(link => {
-            if (!link || !link.isInternal) return false;
-            const href = link.href;
-            return !href.includes('#') &&
-                   !href.includes('mailto:') &&
-                   !href.includes('tel:') &&
-                   !href.match(/\.(pdf|jpg|jpeg|png|gif|svg|zip|doc|docx|xls|xlsx|ppt|pptx|mp4|avi)$/i) &&
-                   !visited.includes(href) &&
-                   href !== base;
-          });
-      };
-      const prioritizedLinks = [
-        ...processLinks(navLinks),
-        ...processLinks(otherLinks)
-      ];
-      const unique = [];
-      const seen = new Set();
-      for (const link of prioritizedLinks) {
-        if (!seen.has(link.href)) {
-          seen.add(link.href);
-          unique.push(link);
-        }
+      continue;
+    }
+    const activation = { selector: candidate.selector, text: candidate.text, enter: false, space: false };
+    for (const key of ['Enter', 'Space']) {
+      failureTracker.currentInteraction = `press ${key} on ${candidate.tag} "${candidate.text || candidate.selector}"`;
+      if (failureTracker.recorder) {
+        await failureTracker.recorder.annotateElement(element, 'press', [key]);
       }
-      return unique.slice(0, 10);
-    }, baseUrl, Array.from(visitedUrls));
-    console.log(`🔗 Found ${links.length} internal links to test`);
-    for (const link of links) {
-      if (visitedUrls.has(link.href) || visitedUrls.size >= TESTING_CONFIG.MAX_PAGES_TO_TEST) {
-        continue;
+      const { effects, hasEffect } = await observeClickEffects(page, element, async () => {
+        await element.focus();
+        await page.keyboard.press(key);
+        return true;
+      });
+      activation[key === 'Enter' ? 'enter' : 'space'] = hasEffect;
+      if (effects.navigated) {
+        await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout: failureTracker.config.PAGE_TIMEOUT });
+        break;
       }
-      visitedUrls.add(link.href);
-      failureTracker.pagesVisited.push(link.href);
-      try {
-        console.log(`🌐 Navigating to: ${link.href}`);
-        const response = await page.goto(link.href, { 
-          waitUntil: 'domcontentloaded', 
-          timeout: TESTING_CONFIG.PAGE_TIMEOUT 
+      if (hasEffect) break;
+    }
+    report.activation.push(activation);
+    if (!activation.enter && !activation.space) {
+      failureTracker.addFailure('KEYBOARD_ACTIVATION_FAILED',
+        `${candidate.tag} "${candidate.text || candidate.selector}" does not respond to Enter or Space`, 'medium', null, {
+          wcag: '2.1.1 Keyboard (A)',
+          selector: candidate.selector
         });
-        const status = response?.status() || 0;
-        if (status >= 400) {
-          failureTracker.addFailure('PAGE_LOAD_FAILED', 
-            `Page ${link.href} returned HTTP ${status}`, 'critical', link.href);
-          continue;
-        }
-        await page.waitForTimeout(1000);
-        await performHumanLikeScrolling(page, failureTracker);
-        await testAllForms(page, failureTracker);
-        await testAllInteractiveElements(page, failureTracker);
-        await checkForJavaScriptErrors(page, failureTracker, link.href);
-        if (currentDepth < maxDepth - 1) {
-          await performComprehensiveNavigation(page, link.href, failureTracker, maxDepth, currentDepth + 1, visitedUrls);
-        }
-      } catch (navError) {
-        failureTracker.addFailure('NAVIGATION_ERROR', 
-          `Cannot navigate to ${link.href}: ${navError.message}`, 'high', link.href);
-      }
+      failureTracker.incrementBroken();
     }
-  } catch (error) {
-    failureTracker.addFailure('COMPREHENSIVE_NAV_ERROR', 
-      `Navigation system failed: ${error.message}`, 'medium');
   }
 }
-async function checkForJavaScriptErrors(page, failureTracker, pageUrl = 'main') {
+async function testKeyboardNavigation(page, failureTracker) {
+  console.log('⌨️ Testing keyboard-only navigation...');
+  const pageUrl = page.url();
+  const report = { url: pageUrl, focusOrder: [], unreachable: [], missingFocusIndicator: [], traps: [], activation: [] };
   try {
-    const errors = await page.evaluate(() => {
-      return window.jsErrors || [];
-    });
-    const consoleErrors = await page.evaluate(() => {
-      const errors = [];
-      const originalError = console.error;
-      console.error = function(...args) {
-        errors.push(args.join(' '));
-        originalError.apply(console, args);
-      };
-      return errors;
-    });
-    const totalErrors = errors.length + consoleErrors.length;
-    if (totalErrors > TESTING_CONFIG.CRITICAL_ERROR_THRESHOLD) {
-      failureTracker.addFailure('EXCESSIVE_JS_ERRORS', 
-        `Page has ${totalErrors} JavaScript errors`, 'critical', pageUrl);
-    } else if (totalErrors > 0) {
-      failureTracker.addWarning(`${totalErrors} JavaScript errors detected`, pageUrl);
+    const targets = (await discoverNewInteractiveElements(page, failureTracker, { wholePage: true }))
+      .filter(target => target.tag !== 'form' && target.selector);
+    failureTracker.currentInteraction = 'keyboard navigation';
+    await tabThroughPage(page, failureTracker, report, Math.min(failureTracker.config.KEYBOARD_MAX_TABS, targets.length * 2 + 10));
+    const focused = report.focusOrder.map(entry => entry.selector);
+    report.unreachable = targets
+      .filter(target => !focused.some(selector => isWithinSelector(target.selector, selector) || isWithinSelector(selector, target.selector)))
+      .map(target => ({ selector: target.selector, tag: target.tag, text: target.text }));
+    report.missingFocusIndicator = report.focusOrder
+      .filter(entry => entry.indicatorVisible === false)
+      .map(entry => ({ selector: entry.selector, tag: entry.tag, text: entry.text }));
+    if (report.unreachable.length > 0) {
+      failureTracker.addFailure('KEYBOARD_UNREACHABLE',
+        `${report.unreachable.length} interactive elements cannot be reached with Tab`, 'medium', null, {
+          wcag: '2.1.1 Keyboard (A)',
+          elements: report.unreachable.slice(0, 10)
+        });
+    }
+    if (report.missingFocusIndicator.length > 0) {
+      failureTracker.addFailure('FOCUS_INDICATOR_MISSING',
+        `${report.missingFocusIndicator.length} elements show no visible focus indicator`, 'medium', null, {
+          wcag: '2.4.7 Focus Visible (AA)',
+          elements: report.missingFocusIndicator.slice(0, 10)
+        });
     }
+    await testKeyboardActivation(page, failureTracker, report);
+    console.log(`⌨️ Keyboard: ${report.focusOrder.length} focus stops, ${report.unreachable.length} unreachable, ${report.missingFocusIndicator.length} without focus indicator`);
   } catch (error) {
-    failureTracker.addWarning(`Could not check for JS errors: ${error.message}`, pageUrl);
+    rethrowIfAborted(error);
+    failureTracker.addFailure('KEYBOARD_TEST_FAILED',
+      `Keyboard navigation test failed: ${error.message}`, 'medium');
   }
+  report.focusOrder = report.focusOrder.map(({ selector, tag, text }) => ({ selector, tag, text }));
+  failureTracker.keyboard.push(report);
+  return report;
 }
-function generateAdvancedAIPrompt(pageMetrics, status, failureTracker, htmlSample) {
-  const summary = failureTracker.getSummary();
-  return `You are an expert website functionality tester. Analyze this comprehensive test report and determine if the website PASSES or FAILS.
-STRICT EVALUATION CRITERIA:
-🔴 IMMEDIATE FAIL CONDITIONS:
-- ANY HTTP 4xx/5xx errors
-- ANY critical failures (forms completely broken, navigation completely broken)
-- More than ${TESTING_CONFIG.BROKEN_ELEMENT_THRESHOLD} broken interactive elements
-- More than ${TESTING_CONFIG.CRITICAL_ERROR_THRESHOLD} JavaScript errors
-- Essential functionality broken (can't navigate, can't submit forms, major buttons don't work)
-🟡 FAIL CONDITIONS:
-- More than 30% of interactive elements are broken
-- Navigation exists but is mostly non-functional
-- Forms exist but can't be filled or submitted
-- Excessive console errors (5+)
-🟢 PASS CONDITIONS:
-- Site is basic with no buttons and forms but works as expected
-- All major functionality works
-- Navigation works properly
-- Forms can be filled and submitted
-- Interactive elements respond appropriately
-- No critical errors
-RESPOND WITH EXACTLY:
-RESULT: PASS
-OR
-RESULT: FAIL
-REASON: [specific, actionable reason]
-ANALYSIS DATA:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-📊 COMPREHENSIVE TEST RESULTS:
-• HTTP Status: ${status}
-• Pages Tested: ${summary.pagesVisited}
-• Elements Tested: ${summary.testedElements}
-• Broken Elements: ${summary.brokenElements}
-• Broken Element Ratio: ${(summary.brokenElementRatio * 100).toFixed(1)}%
-• Total Failures: ${summary.totalFailures}
-• Critical Failures: ${summary.criticalFailures}
-• Warnings: ${summary.warnings}
-🔧 PAGE METRICS:
-• Title: "${pageMetrics.title}"
-• Content Length: ${pageMetrics.contentLength} characters
-• Forms: ${pageMetrics.forms}
-• Buttons: ${pageMetrics.buttons}
-• Links: ${pageMetrics.links}
-• Has Navigation: ${pageMetrics.hasNavigation}
-• Interactive Features: ${pageMetrics.hasInteractiveFeatures}
-⚠️ DETAILED FAILURES:
-${failureTracker.failures.map(f => `[${f.severity.toUpperCase()}] ${f.type}: ${f.message} (${f.page})`).join('\n')}
-🚨 CRITICAL FAILURES:
-${failureTracker.criticalFailures.map(f => `${f.type}: ${f.message} (${f.page})`).join('\n') || 'None'}
-📝 HTML SAMPLE (first 3000 chars):
-${htmlSample.substring(0, 3000)}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-DECISION LOGIC:
-${summary.shouldFail ? '🔴 AUTOMATIC FAIL - Critical issues detected' : '🟢 No automatic fail conditions met'}
-Focus on functionality over aesthetics. If users can't complete basic tasks, FAIL the site.`;
-}
-app.post('/batch-review', rateLimit, async (req, res) => {
-  const { urls, deepTest = true, maxDepth = TESTING_CONFIG.MAX_DEPTH } = req.body;
-  if (!urls || !Array.isArray(urls)) {
-    return res.status(400).json({ error: 'No URLs array provided' });
+function parseRobotsTxt(text, userAgent) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let readingAgents = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (field === 'user-agent') {
+      if (!readingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+      continue;
+    }
+    readingAgents = false;
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (current && field === 'crawl-delay' && !isNaN(parseFloat(value))) {
+      current.crawlDelay = parseFloat(value);
+    }
   }
-  if (urls.length > 20) {
-    return res.status(400).json({ error: 'Maximum 20 URLs allowed per batch' });
+  const agent = userAgent.toLowerCase();
+  const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a))) ||
+                groups.find(g => g.agents.includes('*'));
+  return { rules: group?.rules || [], crawlDelay: group?.crawlDelay ?? null, sitemaps };
+}
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+function isAllowedByRobots(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let match = null;
+  for (const rule of rules) {
+    if (!robotsPatternToRegExp(rule.pattern).test(target)) continue;
+    if (!match || rule.pattern.length > match.pattern.length ||
+        (rule.pattern.length === match.pattern.length && rule.allow)) {
+      match = rule;
+    }
   }
-  const results = [];
-  let browser;
+  return !match || match.allow;
+}
+function extractSitemapLocs(xml) {
+  return Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi))
+    .map(match => match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'"));
+}
+async function fetchCrawlResource(page, url, timeout) {
   try {
-    browser = await chromium.launch({ 
-      headless: true,
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-dev-tools'
-      ]
-    });
-    for (const url of urls) {
-      console.log(`🚀 Starting comprehensive test for ${url}...`);
-      const failureTracker = new FailureTracker();
-      let success = false;
-      let attempts = 0;
-      const maxAttempts = 2;
-      while (!success && attempts < maxAttempts) {
-        attempts++;
-        if (attempts === maxAttempts) {
-          failureTracker.addFailure('MAX_ATTEMPTS_REACHED', 'Test got stuck and exceeded max attempts', 'critical');
-          break;
-        }
-        const page = await browser.newPage();
-        try {
-          await page.setViewportSize({ width: 1440, height: 900 });
-          await page.setExtraHTTPHeaders({
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-          });
-          const issues = {
-            console: [],
-            requests: [],
-            responses: []
-          };
-          page.on('pageerror', error => {
-            const message = error.message;
-            if (!message.includes('require is not defined') && 
-                !message.includes('Script error') &&
-                !message.includes('Non-Error promise rejection')) {
-              issues.console.push(`[PAGEERROR] ${message}`);
-              failureTracker.addFailure('JAVASCRIPT_ERROR', message, 'high');
-            }
-          });
-          page.on('console', msg => {
-            if (msg.type() === 'error') {
-              const text = msg.text();
-              if (!text.includes('require is not defined') && 
-                  !text.includes('favicon') &&
-                  !text.includes('Script error') &&
-                  !text.includes('404')) {
-                issues.console.push(`[CONSOLE_ERROR] ${text}`);
-                failureTracker.addFailure('CONSOLE_ERROR', text, 'medium');
-              }
-            }
-          });
-          page.on('requestfailed', request => {
-            const requestUrl = request.url();
-            const failure = request.failure();
-            if (!requestUrl.includes('favicon') && 
-                !requestUrl.includes('analytics') &&
-                !requestUrl.includes('ads') &&
-                !requestUrl.includes('tracking')) {
-              issues.requests.push(`${requestUrl} - ${failure?.errorText || 'Unknown'}`);
-              failureTracker.addFailure('REQUEST_FAILED', 
-                `Failed to load: ${requestUrl}`, 'medium');
+    const response = await page.request.get(url, { timeout, failOnStatusCode: false });
+    let body = await response.body();
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = gunzipSync(body);
+    }
+    return { status: response.status(), body: body.toString('utf8') };
+  } catch (error) {
+    return { status: 0, error: error.message };
+  }
+}
+async function loadSitemapUrls(page, seeds, failureTracker) {
+  const { config, crawl, scope } = failureTracker;
+  const queue = [...seeds];
+  const fetched = new Set();
+  const pageUrls = new Set();
+  while (queue.length > 0 && fetched.size < config.SITEMAP_MAX_FILES && pageUrls.size < config.SITEMAP_MAX_URLS) {
+    const sitemapUrl = queue.shift();
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+    failureTracker.checkpoint();
+    console.log(`🗺️ Reading sitemap: ${sitemapUrl}`);
+    const { status, body, error } = await fetchCrawlResource(page, sitemapUrl, config.PAGE_TIMEOUT);
+    if (error || status >= 400) {
+      crawl.sitemapErrors.push({ url: sitemapUrl, kind: 'sitemap', status, error: error || `HTTP ${status}` });
+      continue;
+    }
+    const locs = extractSitemapLocs(body);
+    const isIndex = /<sitemapindex[\s>]/i.test(body);
+    crawl.sitemaps.push({ url: sitemapUrl, type: isIndex ? 'index' : 'urlset', entries: locs.length });
+    if (isIndex) {
+      queue.push(...locs);
+      continue;
+    }
+    for (const loc of locs) {
+      if (!isHttpUrl(loc)) {
+        crawl.sitemapErrors.push({ url: loc, kind: 'page', status: 0, error: 'Invalid URL in sitemap' });
+      } else if (isInCrawlScope(loc, scope) && pageUrls.size < config.SITEMAP_MAX_URLS) {
+        pageUrls.add(normalizeCrawlUrl(loc, scope));
+      }
+    }
+  }
+  return Array.from(pageUrls);
+}
+async function prepareCrawl(page, baseUrl, failureTracker) {
+  const { config, crawl } = failureTracker;
+  const origin = new URL(baseUrl).origin;
+  let sitemapSeeds = [`${origin}/sitemap.xml`];
+  if (config.RESPECT_ROBOTS || config.USE_SITEMAP) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const { status, body, error } = await fetchCrawlResource(page, robotsUrl, config.PAGE_TIMEOUT);
+    const found = !error && status >= 200 && status < 300;
+    const parsed = found ? parseRobotsTxt(body, config.ROBOTS_USER_AGENT) : { rules: [], crawlDelay: null, sitemaps: [] };
+    if (parsed.sitemaps.length > 0) {
+      sitemapSeeds = parsed.sitemaps;
+    }
+    if (config.RESPECT_ROBOTS) {
+      const crawlDelayMs = Math.min((parsed.crawlDelay || 0) * 1000, config.MAX_CRAWL_DELAY);
+      failureTracker.robots = { rules: parsed.rules, crawlDelayMs };
+      crawl.robots = { url: robotsUrl, found, rules: parsed.rules.length, crawlDelay: parsed.crawlDelay, appliedCrawlDelayMs: crawlDelayMs };
+      console.log(`🤖 robots.txt ${found ? `loaded: ${parsed.rules.length} rules, crawl-delay ${crawlDelayMs}ms` : 'not found'}`);
+      if (!isAllowedByRobots(parsed.rules, baseUrl)) {
+        failureTracker.addWarning('robots.txt disallows the start URL; it was tested because it was requested explicitly', baseUrl);
+      }
+    }
+  }
+  if (config.USE_SITEMAP) {
+    crawl.sitemapUrls = await loadSitemapUrls(page, sitemapSeeds, failureTracker);
+    console.log(`🗺️ Sitemap seeded ${crawl.sitemapUrls.length} URLs (${crawl.sitemapErrors.length} errors)`);
+  }
+}
+function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+function compileScopePattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return { regex: new RegExp(pattern.regex, pattern.flags), target: 'url' };
+  }
+  return { regex: globToRegExp(pattern), target: pattern.startsWith('/') ? 'path' : 'url' };
+}
+function compileCrawlScope(settings, baseUrl) {
+  const hosts = settings.hosts.length > 0 ? settings.hosts : [new URL(baseUrl).hostname];
+  const apex = host => host.toLowerCase().replace(/^www\./, '');
+  const hostMatchers = hosts.map(host => {
+    if (host.startsWith('*.')) {
+      const suffix = host.slice(1).toLowerCase();
+      return hostname => hostname.endsWith(suffix) || hostname === suffix.slice(1);
+    }
+    if (settings.subdomains === 'all') {
+      return hostname => apex(hostname) === apex(host) || hostname.endsWith(`.${apex(host)}`);
+    }
+    if (settings.subdomains === 'www') {
+      return hostname => apex(hostname) === apex(host);
+    }
+    return hostname => hostname === host.toLowerCase();
+  });
+  return {
+    applied: { ...settings, hosts },
+    hostMatchers,
+    include: settings.include.map(compileScopePattern),
+    exclude: settings.exclude.map(compileScopePattern),
+    stripParams: settings.stripParams.map(globToRegExp)
+  };
+}
+function normalizeCrawlUrl(href, scope) {
+  const url = new URL(href);
+  if (url.hash && !isHashRoute(url.hash)) {
+    url.hash = '';
+  }
+  const { query } = scope.applied;
+  if (query === 'strip') {
+    url.search = '';
+  } else if (url.search) {
+    const stripped = Array.from(url.searchParams.keys()).filter(name => scope.stripParams.some(regex => regex.test(name)));
+    stripped.forEach(name => url.searchParams.delete(name));
+    if (query === 'sort') {
+      url.searchParams.sort();
+    }
+  }
+  return url.href;
+}
+function isInCrawlScope(href, scope) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !scope.hostMatchers.some(matches => matches(url.hostname))) {
+    return false;
+  }
+  if (scope.applied.pathPrefix && !url.pathname.startsWith(scope.applied.pathPrefix)) {
+    return false;
+  }
+  if (scope.include.length > 0 && !matchesUrlPatterns(url, scope.include)) {
+    return false;
+  }
+  return !matchesUrlPatterns(url, scope.exclude);
+}
+function matchesUrlPatterns(url, patterns) {
+  return patterns.some(({ regex, target }) =>
+    regex.test(target === 'path' ? url.pathname + url.search : url.href)
+  );
+}
+function compileSafeClickPolicy(settings) {
+  return {
+    ...settings,
+    textMatchers: settings.denyText.map(pattern => new RegExp(pattern, 'i')),
+    urlMatchers: settings.denyUrls.map(compileScopePattern)
+  };
+}
+function deniedUrlPattern(href, policy) {
+  if (!policy.enabled || !href) return null;
+  try {
+    const url = new URL(href);
+    const index = policy.urlMatchers.findIndex(pattern => matchesUrlPatterns(url, [pattern]));
+    return index === -1 ? null : policy.denyUrls[index];
+  } catch {
+    return null;
+  }
+}
+function safeClickDenial(elementInfo, policy) {
+  if (!policy.enabled) return null;
+  const label = [elementInfo.text, elementInfo.ariaLabel, elementInfo.title, elementInfo.value].filter(Boolean).join(' ');
+  const textMatch = policy.textMatchers.find(regex => regex.test(label));
+  if (textMatch) {
+    return { rule: 'text', pattern: textMatch.source };
+  }
+  if (elementInfo.deniedSelector) {
+    return { rule: 'selector', pattern: elementInfo.deniedSelector };
+  }
+  for (const target of [elementInfo.href, elementInfo.formAction]) {
+    const pattern = deniedUrlPattern(target, policy);
+    if (pattern) {
+      return { rule: 'url', pattern };
+    }
+  }
+  return null;
+}
+async function isSafeClickDenied(element, failureTracker, selector = null) {
+  const policy = failureTracker.safeClick;
+  const elementInfo = await describeClickTarget(element, policy);
+  const denial = safeClickDenial(elementInfo, policy);
+  if (!denial) return false;
+  recordSkippedElement(failureTracker, {
+    kind: elementInfo.tagName,
+    text: elementInfo.text.substring(0, 100),
+    href: elementInfo.href,
+    selector: selector || await element.evaluate(cssPathForElement).catch(() => null),
+    ...denial
+  });
+  return true;
+}
+function recordSkippedElement(failureTracker, details) {
+  const page = failureTracker.currentPage;
+  if (failureTracker.skippedElements.some(skipped => skipped.page === page &&
+      skipped.selector === details.selector && skipped.href === details.href)) {
+    return;
+  }
+  failureTracker.skippedElements.push({ page: failureTracker.currentPage, ...details, timestamp: new Date().toISOString() });
+  console.log(`🛡️ Skipping "${(details.text || details.href || '').substring(0, 40)}": matches safe-click ${details.rule} rule ${details.pattern}`);
+}
+async function collectPageLinks(page, pageUrl, failureTracker) {
+  const links = await page.evaluate(() => {
+    const allLinks = Array.from(document.querySelectorAll('a[href]'));
+    const isNavLink = a => a.closest('nav, .navigation, .navbar, .menu, header, .header') !== null;
+    return [...allLinks.filter(isNavLink), ...allLinks.filter(a => !isNavLink(a))]
+      .map(a => ({ href: a.href, text: a.textContent?.trim() || '' }))
+      .filter(link => /^https?:/i.test(link.href) &&
+                      !link.href.match(/\.(pdf|jpg|jpeg|png|gif|svg|zip|doc|docx|xls|xlsx|ppt|pptx|mp4|avi)$/i));
+  });
+  const { scope } = failureTracker;
+  const current = normalizeCrawlUrl(pageUrl, scope);
+  const seen = new Set();
+  const unique = [];
+  for (const link of links) {
+    if (!isInCrawlScope(link.href, scope)) continue;
+    const href = normalizeCrawlUrl(link.href, scope);
+    if (href !== current && !seen.has(href)) {
+      seen.add(href);
+      unique.push({ href, text: link.text, source: 'link' });
+    }
+  }
+  return unique.slice(0, 10);
+}
+async function visitCrawlPage(page, link, failureTracker, expand) {
+  const { authSession, crawl, robots } = failureTracker;
+  failureTracker.enterPage(link.href);
+  failureTracker.currentInteraction = 'page load';
+  const crawlEntry = { url: link.href, source: link.source, depth: link.depth, status: null };
+  crawl.pages.push(crawlEntry);
+  try {
+    if (robots?.crawlDelayMs) {
+      await page.waitForTimeout(robots.crawlDelayMs);
+    }
+    console.log(`🌐 Navigating to: ${link.href} (depth ${link.depth})`);
+    const response = await page.goto(link.href, { 
+      waitUntil: 'domcontentloaded', 
+      timeout: failureTracker.config.PAGE_TIMEOUT 
+    });
+    if (authSession && await authSession.isSessionLost(page) &&
+        !(await authSession.recover(page, failureTracker, link.href))) {
+      failureTracker.recordPageLoad('session_lost');
+      return [];
+    }
+    const status = response?.status() || 0;
+    crawlEntry.status = status;
+    if (failureTracker.recorder) {
+      await failureTracker.recorder.annotatePage(page, 'navigate', link.href);
+    }
+    failureTracker.recordPageLoad(status >= 400 ? 'http_error' : 'loaded', status);
+    if (status < 400) {
+      const duplicateOf = await claimPageContent(page, failureTracker, link.href);
+      if (duplicateOf) {
+        failureTracker.recordPageLoad('duplicate');
+        crawlEntry.duplicateOf = duplicateOf;
+        console.log(`♊ Skipping ${link.href}: same rendered content as ${duplicateOf}`);
+        return [];
+      }
+    }
+    failureTracker.pagesVisited.push(link.href);
+    if (status >= 400) {
+      if (link.source === 'sitemap') {
+        crawl.sitemapErrors.push({ url: link.href, kind: 'page', status, error: `HTTP ${status}` });
+      }
+      failureTracker.addFailure('PAGE_LOAD_FAILED', 
+        `Page ${link.href} returned HTTP ${status}`, 'critical', link.href);
+      return [];
+    }
+    await page.waitForTimeout(1000);
+    await captureThumbnail(page, failureTracker, link.href);
+    const phases = failureTracker.config.PHASES;
+    const performanceMetrics = phases.performance ? await measurePagePerformance(page, failureTracker) : null;
+    if (phases.scrolling) {
+      await performHumanLikeScrolling(page, failureTracker);
+    }
+    if (phases.forms) {
+      await testAllForms(page, failureTracker);
+    }
+    if (phases.interactive) {
+      await testAllInteractiveElements(page, failureTracker);
+    }
+    if (phases.keyboard) {
+      await testKeyboardNavigation(page, failureTracker);
+    }
+    if (phases.performance) {
+      await measureInteractionLatency(page, failureTracker, performanceMetrics);
+    }
+    if (phases.accessibility) {
+      await auditPageAccessibility(page, failureTracker);
+    }
+    summarizeJavaScriptErrors(failureTracker, link.href);
+    return expand ? await collectPageLinks(page, link.href, failureTracker) : [];
+  } catch (navError) {
+    rethrowIfAborted(navError);
+    crawlEntry.error = navError.message;
+    if (crawlEntry.status === null) {
+      failureTracker.recordPageLoad('failed');
+    }
+    if (!failureTracker.pagesVisited.includes(link.href)) {
+      failureTracker.pagesVisited.push(link.href);
+    }
+    if (link.source === 'sitemap' && crawlEntry.status === null) {
+      crawl.sitemapErrors.push({ url: link.href, kind: 'page', status: 0, error: navError.message });
+    }
+    failureTracker.addFailure('NAVIGATION_ERROR', 
+      `Cannot navigate to ${link.href}: ${navError.message}`, 'high', link.href);
+    return [];
+  }
+}
+async function performComprehensiveNavigation(page, baseUrl, failureTracker, maxDepth = failureTracker.config.MAX_DEPTH) {
+  const maxPages = failureTracker.config.MAX_PAGES_TO_TEST;
+  const { authSession, crawl, robots, scope } = failureTracker;
+  const breadthFirst = scope.applied.traversal === 'bfs';
+  const visitedUrls = new Set();
+  const queued = new Set([normalizeCrawlUrl(baseUrl, scope)]);
+  const frontier = [];
+  const enqueue = (links, depth, atFront = false) => {
+    const fresh = links
+      .filter(link => !queued.has(link.href))
+      .map(link => ({ ...link, depth }));
+    fresh.forEach(link => queued.add(link.href));
+    frontier.splice(atFront ? 0 : frontier.length, 0, ...fresh);
+  };
+  const enqueueSpaRoutes = () => enqueue(crawl.spaRoutes
+    .filter(route => isInCrawlScope(route.url, scope))
+    .map(route => ({ href: normalizeCrawlUrl(route.url, scope), text: route.trigger, source: 'spa-route' })), 1);
+  console.log(`🗺️ Deep navigation (${breadthFirst ? 'breadth' : 'depth'}-first, max depth ${maxDepth})...`);
+  try {
+    await claimPageContent(page, failureTracker, baseUrl);
+    const links = await collectPageLinks(page, baseUrl, failureTracker);
+    console.log(`🔗 Found ${links.length} internal links to test`);
+    enqueue(links, 1);
+    enqueue(crawl.sitemapUrls.map(href => ({ href, text: '', source: 'sitemap' })), 1);
+    enqueueSpaRoutes();
+    while (frontier.length > 0) {
+      if (visitedUrls.size >= maxPages) {
+        console.log(`🛑 Stopping navigation: pages ${visitedUrls.size}/${maxPages}`);
+        return;
+      }
+      if (authSession?.lost) {
+        console.log('🔐 Stopping navigation: authenticated session could not be restored');
+        return;
+      }
+      const link = frontier.shift();
+      if (robots && !isAllowedByRobots(robots.rules, link.href)) {
+        crawl.blockedByRobots.push(link.href);
+        console.log(`🤖 Skipping ${link.href}: disallowed by robots.txt`);
+        continue;
+      }
+      const deniedPattern = deniedUrlPattern(link.href, failureTracker.safeClick);
+      if (deniedPattern) {
+        recordSkippedElement(failureTracker, { kind: 'link', text: link.text, href: link.href, rule: 'url', pattern: deniedPattern });
+        continue;
+      }
+      failureTracker.checkpoint();
+      visitedUrls.add(link.href);
+      const childLinks = await visitCrawlPage(page, link, failureTracker, link.depth < maxDepth);
+      enqueue(childLinks, link.depth + 1, !breadthFirst);
+      enqueueSpaRoutes();
+    }
+  } catch (error) {
+    rethrowIfAborted(error);
+    failureTracker.addFailure('COMPREHENSIVE_NAV_ERROR', 
+      `Navigation system failed: ${error.message}`, 'medium');
+  }
+}
+const JS_ERROR_FAILURES = {
+  uncaught: { type: 'JAVASCRIPT_ERROR', severity: 'high' },
+  unhandledrejection: { type: 'UNHANDLED_REJECTION', severity: 'high' },
+  console: { type: 'CONSOLE_ERROR', severity: 'medium' }
+};
+const IGNORED_JS_ERRORS = ['require is not defined', 'Script error', 'Non-Error promise rejection', 'favicon'];
+function captureJavaScriptErrors() {
+  if (window.__strikerErrorCapture) return;
+  window.__strikerErrorCapture = true;
+  const pending = [];
+  const report = error => {
+    pending.push({ ...error, frameUrl: location.href, timestamp: Date.now() });
+    if (typeof window.__strikerReportError === 'function') {
+      pending.splice(0).forEach(entry => window.__strikerReportError(entry).catch(() => {}));
+    }
+  };
+  const describe = value => {
+    if (value instanceof Error) {
+      return { message: `${value.name}: ${value.message}`, stack: value.stack || null };
+    }
+    try {
+      return { message: typeof value === 'string' ? value : JSON.stringify(value), stack: null };
+    } catch {
+      return { message: String(value), stack: null };
+    }
+  };
+  window.addEventListener('error', event => {
+    report({
+      kind: 'uncaught',
+      message: event.error ? describe(event.error).message : event.message,
+      stack: event.error?.stack || null,
+      source: { url: event.filename || null, line: event.lineno || null, column: event.colno || null }
+    });
+  });
+  window.addEventListener('unhandledrejection', event => {
+    report({ kind: 'unhandledrejection', ...describe(event.reason), source: null });
+  });
+  const originalError = console.error;
+  console.error = function (...args) {
+    const errorArg = args.find(arg => arg instanceof Error);
+    report({
+      kind: 'console',
+      message: args.map(arg => describe(arg).message).join(' '),
+      stack: errorArg?.stack || new Error().stack?.split('\n').slice(2).join('\n') || null,
+      source: null
+    });
+    return originalError.apply(this, args);
+  };
+}
+function parseStackLocation(stack) {
+  const match = stack?.match(/((?:https?|file):\/\/[^\s)]+?):(\d+):(\d+)/);
+  return match ? { url: match[1], line: Number(match[2]), column: Number(match[3]) } : null;
+}
+function recordJavaScriptError(failureTracker, error) {
+  const kind = JS_ERROR_FAILURES[error?.kind] ? error.kind : 'uncaught';
+  const message = String(error?.message || 'Unknown error').substring(0, 500);
+  if (IGNORED_JS_ERRORS.some(ignored => message.includes(ignored)) || (kind === 'console' && message.includes('404'))) {
+    return;
+  }
+  const stack = error.stack ? String(error.stack).substring(0, 2000) : null;
+  const entry = {
+    kind,
+    message,
+    stack,
+    source: error.source?.url ? error.source : parseStackLocation(stack),
+    page: failureTracker.currentPage,
+    frameUrl: error.frameUrl || null,
+    interaction: failureTracker.currentInteraction,
+    timestamp: new Date(error.timestamp || Date.now()).toISOString()
+  };
+  failureTracker.javascriptErrors.push(entry);
+  const { type, severity } = JS_ERROR_FAILURES[kind];
+  const location = entry.source ? ` at ${entry.source.url}:${entry.source.line}:${entry.source.column}` : '';
+  failureTracker.addFailure(type, `${message}${location}${entry.interaction ? ` (during ${entry.interaction})` : ''}`, severity, entry.page, {
+    stack,
+    source: entry.source,
+    interaction: entry.interaction
+  });
+}
+async function installErrorCapture(context, failureTracker) {
+  await context.exposeBinding('__strikerReportError', (source, error) => recordJavaScriptError(failureTracker, error));
+  await context.addInitScript(captureJavaScriptErrors);
+}
+function summarizeJavaScriptErrors(failureTracker, pageUrl) {
+  const totalErrors = failureTracker.javascriptErrors.filter(error => error.page === pageUrl).length;
+  if (totalErrors > failureTracker.config.CRITICAL_ERROR_THRESHOLD) {
+    failureTracker.addFailure('EXCESSIVE_JS_ERRORS', 
+      `Page has ${totalErrors} JavaScript errors`, 'critical', pageUrl);
+  } else if (totalErrors > 0) {
+    failureTracker.addWarning(`${totalErrors} JavaScript errors detected`, pageUrl);
+  }
+}
+function generateAdvancedAIPrompt(pageMetrics, status, failureTracker, htmlSample, performanceMetrics = null) {
+  const summary = failureTracker.getSummary();
+  return `You are an expert website functionality tester. Analyze this comprehensive test report and determine if the website PASSES or FAILS.
+STRICT EVALUATION CRITERIA:
+🔴 IMMEDIATE FAIL CONDITIONS:
+- ANY HTTP 4xx/5xx errors
+- ANY critical failures (forms completely broken, navigation completely broken)
+- More than ${failureTracker.config.BROKEN_ELEMENT_THRESHOLD} broken interactive elements
+- More than ${failureTracker.config.CRITICAL_ERROR_THRESHOLD} JavaScript errors
+- Essential functionality broken (can't navigate, can't submit forms, major buttons don't work)
+🟡 FAIL CONDITIONS:
+- More than 30% of interactive elements are broken
+- Navigation exists but is mostly non-functional
+- Forms exist but can't be filled or submitted
+- Form submissions return HTTP errors or produce no visible outcome
+- Buttons or links that do nothing when clicked (DEAD_CLICK)
+- Excessive console errors (5+)
+🟢 PASS CONDITIONS:
+- Site is basic with no buttons and forms but works as expected
+- All major functionality works
+- Navigation works properly
+- Forms can be filled and submitted
+- Interactive elements respond appropriately
+- No critical errors
+RESPOND WITH EXACTLY:
+RESULT: PASS
+OR
+RESULT: FAIL
+REASON: [specific, actionable reason]
+ANALYSIS DATA:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+📊 COMPREHENSIVE TEST RESULTS:
+• HTTP Status: ${status}
+• Pages Tested: ${summary.pagesVisited}
+• Elements Tested: ${summary.testedElements}
+• Broken Elements: ${summary.brokenElements}
+• Broken Element Ratio: ${(summary.brokenElementRatio * 100).toFixed(1)}%
+• Dead Clicks (no observable effect): ${summary.deadClicks}
+• Skipped by Safe-Click Policy (not tested, not broken): ${summary.skippedElements}
+• Blocked Non-GET Requests: ${summary.blockedRequests}
+• JavaScript Errors: ${failureTracker.javascriptErrors.length}
+• Total Failures: ${summary.totalFailures}
+• Critical Failures: ${summary.criticalFailures}
+• Warnings: ${summary.warnings}
+🔧 PAGE METRICS:
+• Title: "${pageMetrics.title}"
+• Content Length: ${pageMetrics.contentLength} characters
+• Forms: ${pageMetrics.forms}
+• Buttons: ${pageMetrics.buttons}
+• Links: ${pageMetrics.links}
+• Has Navigation: ${pageMetrics.hasNavigation}
+• Interactive Features: ${pageMetrics.hasInteractiveFeatures}
+⚡ PERFORMANCE (start page):
+${performanceMetrics ?
+  `• TTFB: ${performanceMetrics.ttfb}ms | DOMContentLoaded: ${performanceMetrics.domContentLoaded}ms | Load: ${performanceMetrics.load}ms
+• LCP: ${performanceMetrics.lcp}ms | CLS: ${performanceMetrics.cls} | TBT: ${performanceMetrics.tbt}ms | INP (approx.): ${performanceMetrics.inp}ms
+• Transfer: ${Math.round(performanceMetrics.transferSize / 1024)}KB in ${performanceMetrics.requestCount} requests` :
+  'Not measured'}
+⚠️ DETAILED FAILURES:
+${failureTracker.failures.map(f => `[${f.severity.toUpperCase()}] ${f.type}: ${f.message} (${f.page})${f.count > 1 ? ` x${f.count}` : ''}`).join('\n')}
+📄 PAGE BREAKDOWN:
+${failureTracker.getPageBreakdown().map(p => `${p.url}: ${p.loadStatus}, ${p.elementsTested} tested, ${p.elementsBroken} broken, ${p.failuresBySeverity.critical} critical / ${p.failuresBySeverity.high} high failures${p.accessibilityScore != null ? `, accessibility ${p.accessibilityScore}/100` : ''}`).join('\n')}
+🚨 CRITICAL FAILURES:
+${failureTracker.criticalFailures.map(f => `${f.type}: ${f.message} (${f.page})`).join('\n') || 'None'}
+🧪 FORM VALIDATION (bad input accepted):
+${failureTracker.formValidation.flatMap(r => r.probes.filter(p => p.handled === false).map(p => `${r.formId}.${p.field}: ${p.probe}`)).join('\n') || 'None detected'}
+📨 FORM SUBMISSIONS:
+${failureTracker.config.PHASES.formSubmission ?
+  (failureTracker.formSubmissions.map(s => `${s.formId} on ${s.page}: ${s.verdict} - ${s.detail}`).join('\n') || 'No submittable forms found') :
+  'Not tested (submission testing disabled)'}
+📝 HTML SAMPLE (first 3000 chars):
+${htmlSample.substring(0, 3000)}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+DECISION LOGIC:
+${summary.shouldFail ? '🔴 AUTOMATIC FAIL - Critical issues detected' : '🟢 No automatic fail conditions met'}
+Focus on functionality over aesthetics. If users can't complete basic tasks, FAIL the site.`;
+}
+function observeWebVitals() {
+  if (window.__strikerVitals) return;
+  const vitals = window.__strikerVitals = { lcp: null, cls: 0, tbt: 0, inp: null, longTasks: 0 };
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+    } catch {}
+  };
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.startTime;
+  });
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+      sessionValue = 0;
+      sessionStart = entry.startTime;
+    }
+    sessionValue += entry.value;
+    lastShift = entry.startTime;
+    vitals.cls = Math.max(vitals.cls, sessionValue);
+  });
+  observe('longtask', entry => {
+    vitals.longTasks++;
+    vitals.tbt += Math.max(0, entry.duration - 50);
+  });
+  observe('event', entry => {
+    if (entry.interactionId) {
+      vitals.inp = Math.max(vitals.inp || 0, entry.duration);
+    }
+  }, { durationThreshold: 16 });
+}
+// Resource Timing reports zero bytes for cross-origin responses without
+// Timing-Allow-Origin, so page weight is counted from the network instead.
+function trackTransferredBytes(page) {
+  const transfer = { bytes: 0, pending: new Set() };
+  page.on('request', request => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      transfer.bytes = 0;
+    }
+  });
+  page.on('requestfinished', request => {
+    const pending = request.sizes()
+      .then(sizes => {
+        transfer.bytes += sizes.responseHeadersSize + sizes.responseBodySize;
+      })
+      .catch(() => {})
+      .finally(() => transfer.pending.delete(pending));
+    transfer.pending.add(pending);
+  });
+  return transfer;
+}
+async function collectPerformanceMetrics(page, failureTracker) {
+  await page.waitForLoadState('load', { timeout: failureTracker.config.PAGE_TIMEOUT }).catch(() => {});
+  const { transfer } = failureTracker;
+  if (transfer) {
+    await Promise.all(transfer.pending);
+  }
+  const metrics = await page.evaluate(() => {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const resources = performance.getEntriesByType('resource');
+    const vitals = window.__strikerVitals || {};
+    const sizeOf = entry => entry.transferSize || entry.encodedBodySize || 0;
+    const round = value => value == null ? null : Math.round(value);
+    const sinceStart = value => navigation && value > 0 ? round(value - navigation.startTime) : null;
+    return {
+      url: location.href,
+      ttfb: navigation ? sinceStart(navigation.responseStart) : null,
+      domContentLoaded: navigation ? sinceStart(navigation.domContentLoadedEventEnd) : null,
+      load: navigation ? sinceStart(navigation.loadEventEnd) : null,
+      lcp: round(vitals.lcp),
+      cls: Number((vitals.cls || 0).toFixed(3)),
+      tbt: round(vitals.tbt || 0),
+      inp: round(vitals.inp),
+      longTasks: vitals.longTasks || 0,
+      transferSize: (navigation ? sizeOf(navigation) : 0) + resources.reduce((sum, entry) => sum + sizeOf(entry), 0),
+      requestCount: resources.length + (navigation ? 1 : 0),
+      largestResources: [...resources]
+        .sort((a, b) => sizeOf(b) - sizeOf(a))
+        .slice(0, 5)
+        .map(entry => ({ url: entry.name, type: entry.initiatorType, size: sizeOf(entry), duration: round(entry.duration) }))
+    };
+  });
+  if (transfer) {
+    metrics.transferSize = Math.max(metrics.transferSize, transfer.bytes);
+  }
+  return metrics;
+}
+function checkPerformanceBudgets(metrics, failureTracker) {
+  for (const [key, budget] of Object.entries(failureTracker.config.PERFORMANCE_BUDGETS)) {
+    const value = metrics[key];
+    if (budget === null || value === null || value === undefined || value <= budget) continue;
+    const { label, unit } = PERFORMANCE_BUDGET_LABELS[key];
+    const failure = failureTracker.addFailure('PERFORMANCE_BUDGET_EXCEEDED',
+      `${label} exceeds budget of ${budget}${unit}`, 'medium', null, { metric: key, value, budget, unit });
+    failure.details.value = Math.max(failure.details.value, value);
+  }
+}
+async function measurePagePerformance(page, failureTracker) {
+  try {
+    const metrics = await collectPerformanceMetrics(page, failureTracker);
+    failureTracker.recordPagePerformance(metrics);
+    console.log(`⚡ Performance: TTFB ${metrics.ttfb}ms, LCP ${metrics.lcp}ms, CLS ${metrics.cls}, TBT ${metrics.tbt}ms, ${metrics.requestCount} requests`);
+    checkPerformanceBudgets(metrics, failureTracker);
+    return metrics;
+  } catch (error) {
+    rethrowIfAborted(error);
+    failureTracker.addWarning(`Could not collect performance metrics: ${error.message}`);
+    return null;
+  }
+}
+async function measureInteractionLatency(page, failureTracker, metrics) {
+  if (!metrics || page.url() !== metrics.url) return;
+  const inp = await page.evaluate(() => window.__strikerVitals?.inp ?? null).catch(() => null);
+  if (inp === null) return;
+  metrics.inp = Math.round(inp);
+  checkPerformanceBudgets({ inp: metrics.inp }, failureTracker);
+}
+function auditAccessibility() {
+  const cssPath = window.__strikerCssPath;
+  const results = {};
+  const check = (rule, element, detail = null) => {
+    results[rule] = results[rule] || { checked: 0, violations: [] };
+    results[rule].checked++;
+    if (detail !== null && results[rule].violations.length < 50) {
+      results[rule].violations.push({ selector: element ? cssPath(element) : 'html', detail });
+    }
+  };
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const textOf = el => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+  const labelledBy = el => (el.getAttribute('aria-labelledby') || '').split(/\s+/)
+    .map(id => textOf(document.getElementById(id))).join(' ').trim();
+  const accessibleName = el => (el.getAttribute('aria-label') || '').trim() || labelledBy(el) ||
+    (el.getAttribute('title') || '').trim();
+  const lang = document.documentElement.getAttribute('lang');
+  check('html-lang', null, lang && lang.trim() ? null : 'The <html> element has no lang attribute');
+  for (const img of document.querySelectorAll('img, input[type="image"], [role="img"]')) {
+    if (img.closest('[aria-hidden="true"]') || img.getAttribute('role') === 'presentation' || img.getAttribute('role') === 'none') continue;
+    const hasName = img.tagName === 'IMG' || img.tagName === 'INPUT' ? img.hasAttribute('alt') || accessibleName(img) : accessibleName(img);
+    check('image-alt', img, hasName ? null : `No alt text (src: ${(img.getAttribute('src') || '').substring(0, 80)})`);
+  }
+  for (const field of document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea')) {
+    if (!isVisible(field)) continue;
+    const hasLabel = (field.id && document.querySelector(`label[for="${CSS.escape(field.id)}"]`)) || field.closest('label') || accessibleName(field);
+    check('label', field, hasLabel ? null : `${field.tagName.toLowerCase()}${field.name ? ` "${field.name}"` : ''} has no label${field.placeholder ? ' (placeholder is not a label)' : ''}`);
+  }
+  for (const button of document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"], a[href]')) {
+    if (!isVisible(button) || button.closest('[aria-hidden="true"]')) continue;
+    const imageAlt = Array.from(button.querySelectorAll('img[alt]')).map(img => img.alt.trim()).join(' ');
+    const name = accessibleName(button) || textOf(button) || imageAlt || (button.tagName === 'INPUT' ? button.value : '');
+    const kind = button.tagName === 'A' ? 'Link' : 'Button';
+    check('button-name', button, name ? null : `${kind} has no accessible name`);
+  }
+  const parseColor = value => {
+    const match = value.match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/);
+    return match ? { r: +match[1], g: +match[2], b: +match[3], a: match[4] === undefined ? 1 : +match[4] } : null;
+  };
+  const luminance = ({ r, g, b }) => {
+    const channel = c => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+  const backgroundOf = el => {
+    for (let node = el; node; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a >= 1) return color;
+      if (color && color.a > 0) return null;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+  let contrastChecked = 0;
+  for (const el of document.body.querySelectorAll('*')) {
+    if (contrastChecked >= 500) break;
+    const hasText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0);
+    if (!hasText || !isVisible(el)) continue;
+    const style = window.getComputedStyle(el);
+    const foreground = parseColor(style.color);
+    const background = backgroundOf(el);
+    if (!foreground || foreground.a < 1 || !background) continue;
+    contrastChecked++;
+    const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    const ratio = (light + 0.05) / (dark + 0.05);
+    const fontSize = parseFloat(style.fontSize);
+    const isLarge = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    const required = isLarge ? 3 : 4.5;
+    check('color-contrast', el, ratio >= required ? null : `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 ("${textOf(el).substring(0, 40)}")`);
+  }
+  let previousLevel = 0;
+  for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    if (!isVisible(heading)) continue;
+    const level = parseInt(heading.tagName[1], 10);
+    check('heading-order', heading, previousLevel && level > previousLevel + 1 ? `h${previousLevel} is followed by h${level}` : null);
+    previousLevel = level;
+  }
+  check('landmarks', null, document.querySelector('main, [role="main"]') ? null : 'Page has no <main> landmark');
+  for (const el of document.querySelectorAll('[tabindex]')) {
+    const tabindex = parseInt(el.getAttribute('tabindex'), 10);
+    let problem = null;
+    if (tabindex > 0) {
+      problem = `tabindex="${tabindex}" overrides the natural focus order`;
+    } else if (tabindex === 0 && el.closest('[aria-hidden="true"]')) {
+      problem = 'Focusable element is inside aria-hidden content';
+    } else if (tabindex === 0 && !el.getAttribute('role') && !el.matches('a[href], button, input, select, textarea, summary, [contenteditable]')) {
+      problem = `Focusable <${el.tagName.toLowerCase()}> has no role`;
+    }
+    check('tabindex', el, problem);
+  }
+  return results;
+}
+function scoreAccessibility(results) {
+  let applicable = 0;
+  let earned = 0;
+  for (const [rule, { checked, violations }] of Object.entries(results)) {
+    const { weight } = ACCESSIBILITY_RULES[rule];
+    if (checked === 0) continue;
+    applicable += weight;
+    earned += weight * (1 - violations.length / checked);
+  }
+  return applicable > 0 ? Math.round(earned / applicable * 100) : 100;
+}
+async function auditPageAccessibility(page, failureTracker) {
+  const pageUrl = page.url();
+  try {
+    const results = await page.evaluate(auditAccessibility);
+    const audit = { url: pageUrl, score: scoreAccessibility(results), violations: {} };
+    for (const [rule, { violations }] of Object.entries(results)) {
+      if (violations.length === 0) continue;
+      const { type, wcag, severity, summary } = ACCESSIBILITY_RULES[rule];
+      audit.violations[rule] = violations.length;
+      failureTracker.addFailure(type, `${violations.length} ${summary}`, severity, null, {
+        rule,
+        wcag,
+        elements: violations.slice(0, 10)
+      });
+    }
+    failureTracker.accessibility.push(audit);
+    failureTracker.recordPageAccessibility(audit);
+    console.log(`♿ Accessibility score ${audit.score}/100 (${Object.keys(audit.violations).length} rules violated)`);
+    return audit;
+  } catch (error) {
+    rethrowIfAborted(error);
+    failureTracker.addWarning(`Could not run accessibility audit: ${error.message}`);
+    return null;
+  }
+}
+function summarizeAccessibility(failureTracker) {
+  const audits = failureTracker.accessibility;
+  if (audits.length === 0) return null;
+  const violations = {};
+  for (const audit of audits) {
+    for (const [rule, count] of Object.entries(audit.violations)) {
+      violations[rule] = (violations[rule] || 0) + count;
+    }
+  }
+  return {
+    score: Math.round(audits.reduce((sum, audit) => sum + audit.score, 0) / audits.length),
+    pagesAudited: audits.length,
+    violations,
+    pages: audits
+  };
+}
+async function diffScreenshots({ baseline, current, tolerance, cellSize }) {
+  const load = base64 => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode screenshot'));
+    img.src = `data:image/png;base64,${base64}`;
+  });
+  const [before, after] = await Promise.all([load(baseline), load(current)]);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const pixelsOf = img => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const a = pixelsOf(before);
+  const b = pixelsOf(after);
+  const diffCanvas = document.createElement('canvas');
+  diffCanvas.width = width;
+  diffCanvas.height = height;
+  const diffCtx = diffCanvas.getContext('2d');
+  const diff = diffCtx.createImageData(width, height);
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const changedCells = new Uint8Array(columns * rows);
+  let changedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const inBoth = x < before.width && y < before.height && x < after.width && y < after.height;
+      const delta = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]));
+      if (!inBoth || delta > tolerance) {
+        changedPixels++;
+        changedCells[Math.floor(y / cellSize) * columns + Math.floor(x / cellSize)] = 1;
+        diff.data[i] = 255;
+        diff.data[i + 1] = 0;
+        diff.data[i + 2] = 64;
+        diff.data[i + 3] = 255;
+      } else {
+        const gray = (b[i] + b[i + 1] + b[i + 2]) / 3;
+        diff.data[i] = gray;
+        diff.data[i + 1] = gray;
+        diff.data[i + 2] = gray;
+        diff.data[i + 3] = 64;
+      }
+    }
+  }
+  diffCtx.putImageData(diff, 0, 0);
+  const regions = [];
+  for (let start = 0; start < changedCells.length; start++) {
+    if (changedCells[start] !== 1) continue;
+    const stack = [start];
+    changedCells[start] = 2;
+    let [minX, minY, maxX, maxY] = [columns, rows, 0, 0];
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      [minX, minY, maxX, maxY] = [Math.min(minX, cx), Math.min(minY, cy), Math.max(maxX, cx), Math.max(maxY, cy)];
+      for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+        const next = ny * columns + nx;
+        if (nx >= 0 && nx < columns && ny >= 0 && ny < rows && changedCells[next] === 1) {
+          changedCells[next] = 2;
+          stack.push(next);
+        }
+      }
+    }
+    regions.push({
+      x: minX * cellSize,
+      y: minY * cellSize,
+      width: Math.min((maxX + 1) * cellSize, width) - minX * cellSize,
+      height: Math.min((maxY + 1) * cellSize, height) - minY * cellSize
+    });
+  }
+  regions.sort((r1, r2) => r2.width * r2.height - r1.width * r1.height);
+  return {
+    width,
+    height,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    changedPixels,
+    percentChanged: Math.round(changedPixels / (width * height) * 10000) / 100,
+    regions: regions.slice(0, 20),
+    diff_base64: diffCanvas.toDataURL('image/png').split(',')[1]
+  };
+}
+function isVisualBaselineFor(aiData, viewport) {
+  const recorded = aiData.visual?.viewport || { width: 1440, height: 900 };
+  return recorded.width === viewport.width && recorded.height === viewport.height;
+}
+async function findVisualBaseline(url, viewport) {
+  try {
+    const { data, error } = await supabase
+      .from('reviews')
+      .select('id, ai_raw_response, created_at')
+      .eq('url', url)
+      .order('created_at', { ascending: false })
+      .limit(20);
+    if (error) {
+      console.error(`❌ Could not load visual baseline for ${url}:`, error.message);
+      return null;
+    }
+    const candidates = [];
+    for (const review of data || []) {
+      let aiData;
+      try {
+        aiData = JSON.parse(review.ai_raw_response || '{}');
+      } catch {
+        continue;
+      }
+      if (aiData.testFailed || aiData.partial || !isVisualBaselineFor(aiData, viewport)) continue;
+      // Rows without a screenshot reference predate screenshot blobs and may hold it inline
+      if (aiData.screenshot && !aiData.screenshot.hash) continue;
+      candidates.push({ review, hash: aiData.screenshot?.hash || null, promotedAt: aiData.visualBaseline?.promotedAt || null });
+    }
+    const promoted = candidates
+      .filter(candidate => candidate.promotedAt)
+      .sort((c1, c2) => c2.promotedAt.localeCompare(c1.promotedAt));
+    for (const candidate of [...promoted, ...candidates.filter(candidate => !candidate.promotedAt)]) {
+      const screenshot = await loadBaselineScreenshot(candidate);
+      if (!screenshot) continue;
+      return {
+        reviewId: candidate.review.id,
+        reviewedAt: candidate.review.created_at,
+        promoted: !!candidate.promotedAt,
+        screenshot
+      };
+    }
+  } catch (dbError) {
+    console.error(`❌ Could not load visual baseline for ${url}:`, dbError.message);
+  }
+  return null;
+}
+async function loadBaselineScreenshot({ review, hash }) {
+  const { data, error } = hash ?
+    await supabase.from('screenshot_blobs').select('data_base64').eq('hash', hash).maybeSingle() :
+    await supabase.from('reviews').select('screenshot_base64').eq('id', review.id).maybeSingle();
+  if (error) {
+    console.error(`❌ Could not load baseline screenshot from review ${review.id}:`, error.message);
+    return null;
+  }
+  return (hash ? data?.data_base64 : data?.screenshot_base64) || null;
+}
+async function compareWithVisualBaseline(url, screenshotBase64, viewport, failureTracker) {
+  const { config } = failureTracker;
+  const baseline = await findVisualBaseline(url, viewport);
+  if (!baseline) {
+    console.log('🖼️ No visual baseline for this URL yet');
+    return { viewport, baseline: null };
+  }
+  const pooledBrowser = await browserPool.acquire({ nested: true });
+  let diffContext = null;
+  try {
+    diffContext = await pooledBrowser.newContext();
+    const diffPage = await diffContext.newPage();
+    const { diff_base64: diffBase64, ...diff } = await diffPage.evaluate(diffScreenshots, {
+      baseline: baseline.screenshot,
+      current: screenshotBase64,
+      tolerance: config.VISUAL_PIXEL_TOLERANCE,
+      cellSize: config.VISUAL_REGION_CELL
+    });
+    console.log(`🖼️ ${diff.percentChanged}% of pixels changed since review ${baseline.reviewId} (${diff.regions.length} regions)`);
+    const message = `${diff.percentChanged}% of the page changed since the ${baseline.promoted ? 'promoted baseline' : 'previous review'} (${diff.regions.length} regions)`;
+    if (diff.percentChanged >= config.VISUAL_FAILURE_PERCENT) {
+      failureTracker.addFailure('VISUAL_REGRESSION', message, 'high', url, {
+        baselineReviewId: baseline.reviewId,
+        percentChanged: diff.percentChanged,
+        regions: diff.regions.slice(0, 5)
+      });
+    } else if (diff.percentChanged >= config.VISUAL_WARNING_PERCENT) {
+      failureTracker.addWarning(`VISUAL_REGRESSION: ${message}`, url);
+    }
+    return {
+      viewport,
+      baseline: { reviewId: baseline.reviewId, reviewedAt: baseline.reviewedAt, promoted: baseline.promoted },
+      ...diff,
+      diff: failureTracker.addScreenshot({
+        url,
+        kind: 'visual_diff',
+        label: `🖼️ visual diff (${diff.percentChanged}%)`,
+        contentType: 'image/png',
+        width: diff.width,
+        height: diff.height,
+        data: Buffer.from(diffBase64, 'base64')
+      })
+    };
+  } catch (error) {
+    rethrowIfAborted(error);
+    failureTracker.addWarning(`Could not compare with visual baseline: ${error.message}`, url);
+    return { viewport, baseline: { reviewId: baseline.reviewId, reviewedAt: baseline.reviewedAt, promoted: baseline.promoted }, error: error.message };
+  } finally {
+    await diffContext?.close().catch(() => {});
+    browserPool.release();
+  }
+}
+async function captureThumbnail(page, failureTracker, pageUrl) {
+  let cdp = null;
+  try {
+    const { width, height } = page.viewportSize() || { width: 1440, height: 900 };
+    const scale = failureTracker.config.THUMBNAIL_WIDTH / width;
+    await failureTracker.recorder?.clearAnnotations(page);
+    cdp = await page.context().newCDPSession(page);
+    const { data } = await cdp.send('Page.captureScreenshot', {
+      format: 'jpeg',
+      quality: failureTracker.config.SCREENSHOT_JPEG_QUALITY,
+      clip: { x: 0, y: 0, width, height, scale }
+    });
+    failureTracker.addScreenshot({
+      url: pageUrl,
+      kind: 'thumbnail',
+      width: Math.round(width * scale),
+      height: Math.round(height * scale),
+      data: Buffer.from(data, 'base64')
+    });
+  } catch (error) {
+    rethrowIfAborted(error);
+    failureTracker.addWarning(`Could not capture thumbnail: ${error.message}`);
+  } finally {
+    if (cdp) {
+      await cdp.detach().catch(() => {});
+    }
+  }
+}
+async function captureFullPage(page, failureTracker, pageUrl) {
+  try {
+    const size = await page.evaluate(() => ({
+      width: document.documentElement.clientWidth,
+      height: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0)
+    }));
+    await failureTracker.recorder?.clearAnnotations(page);
+    const data = await page.screenshot({ type: 'jpeg', quality: failureTracker.config.SCREENSHOT_JPEG_QUALITY, fullPage: true });
+    failureTracker.addScreenshot({ url: pageUrl, kind: 'full_page', ...size, data });
+  } catch (error) {
+    rethrowIfAborted(error);
+    failureTracker.addWarning(`Could not capture full-page screenshot: ${error.message}`);
+  }
+}
+async function storeReviewScreenshots(reviewId, screenshots) {
+  const gallery = screenshots.map(({ data, contentType, ...shot }) => ({ ...shot, bytes: data.length }));
+  if (gallery.length === 0) return [];
+  const blobs = new Map(screenshots.map(shot => [shot.hash, shot]));
+  try {
+    const { data: existing, error: lookupError } = await supabase
+      .from('screenshot_blobs')
+      .select('hash')
+      .in('hash', Array.from(blobs.keys()));
+    if (lookupError) {
+      console.error(`❌ Could not look up stored screenshots:`, lookupError.message);
+      return [];
+    }
+    for (const { hash } of existing || []) {
+      blobs.delete(hash);
+    }
+    if (blobs.size > 0) {
+      const { error: blobError } = await supabase.from('screenshot_blobs').upsert(
+        Array.from(blobs, ([hash, { data, contentType }]) => ({
+          hash,
+          content_type: contentType,
+          size_bytes: data.length,
+          data_base64: data.toString('base64')
+        })),
+        { onConflict: 'hash', ignoreDuplicates: true }
+      );
+      if (blobError) {
+        console.error(`❌ Could not store screenshots:`, blobError.message);
+        return [];
+      }
+    }
+    const { error: insertError } = await supabase.from('review_screenshots').insert(gallery.map((shot, position) => ({
+      review_id: reviewId,
+      page_url: shot.url,
+      kind: shot.kind,
+      label: shot.label || null,
+      hash: shot.hash,
+      width: shot.width,
+      height: shot.height,
+      position
+    })));
+    if (insertError) {
+      console.error(`❌ Could not link screenshots to review ${reviewId}:`, insertError.message);
+      return [];
+    }
+    console.log(`🖼️ Stored ${gallery.length} screenshots for review ${reviewId} (${blobs.size} new, ${gallery.length - blobs.size} deduplicated)`);
+  } catch (dbError) {
+    console.error(`❌ Could not store screenshots for review ${reviewId}:`, dbError.message);
+    return [];
+  }
+  return gallery.map(shot => ({ ...shot, src: `/api/screenshots/${shot.hash}` }));
+}
+async function applyEmulation(page, emulation) {
+  const cdp = await page.context().newCDPSession(page);
+  const conditions = NETWORK_CONDITIONS[emulation.network];
+  if (conditions) {
+    await cdp.send('Network.enable');
+    await cdp.send('Network.emulateNetworkConditions', conditions);
+  }
+  if (emulation.cpuSlowdown > 1) {
+    await cdp.send('Emulation.setCPUThrottlingRate', { rate: emulation.cpuSlowdown });
+  }
+  console.log(`🐢 Emulating ${emulation.network || 'full-speed network'}${emulation.cpuSlowdown > 1 ? ` with ${emulation.cpuSlowdown}x CPU slowdown` : ''}`);
+  return cdp;
+}
+async function goOfflineAfterLoad(cdp) {
+  await cdp.send('Network.enable');
+  await cdp.send('Network.emulateNetworkConditions', { offline: true, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+  console.log('📴 Network is now offline');
+}
+function failureKey(failure) {
+  return `${failure.type}|${failure.page}|${failure.details?.selector || failure.details?.metric || failure.message}`;
+}
+async function findUnthrottledBaseline(url) {
+  try {
+    const { data, error } = await supabase
+      .from('reviews')
+      .select('id, ai_raw_response, created_at')
+      .eq('url', url)
+      .order('created_at', { ascending: false })
+      .limit(10);
+    if (error) {
+      console.error(`❌ Could not load baseline review for ${url}:`, error.message);
+      return null;
+    }
+    for (const review of data || []) {
+      let aiData;
+      try {
+        aiData = JSON.parse(review.ai_raw_response || '{}');
+      } catch {
+        continue;
+      }
+      if (!aiData.profile?.emulation && Array.isArray(aiData.failures) && !aiData.partial) {
+        return { reviewId: review.id, reviewedAt: review.created_at, failures: aiData.failures };
+      }
+    }
+  } catch (dbError) {
+    console.error(`❌ Could not load baseline review for ${url}:`, dbError.message);
+  }
+  return null;
+}
+// The baseline is the newest earlier unthrottled review, not a paired run, so
+// failures that differ can also come from site changes made since then.
+async function compareWithUnthrottledBaseline(url, failureTracker) {
+  const baseline = await findUnthrottledBaseline(url);
+  if (!baseline) {
+    return { emulation: failureTracker.config.EMULATION, comparison: 'history', baseline: null, throttledOnlyFailures: null };
+  }
+  const baselineKeys = new Set(baseline.failures.map(failureKey));
+  const throttledOnlyFailures = failureTracker.failures.filter(failure => !baselineKeys.has(failureKey(failure)));
+  console.log(`🐢 ${throttledOnlyFailures.length} failures not seen in unthrottled review ${baseline.reviewId} (${baseline.reviewedAt})`);
+  return {
+    emulation: failureTracker.config.EMULATION,
+    comparison: 'history',
+    baseline: { reviewId: baseline.reviewId, reviewedAt: baseline.reviewedAt, failures: baseline.failures.length },
+    throttledOnlyFailures
+  };
+}
+function installRecordingOverlay() {
+  let overlay = null;
+  let clearTimer = null;
+  const ensureOverlay = () => {
+    if (overlay && overlay.host.isConnected) return overlay;
+    const host = document.createElement('striker-recording-overlay');
+    host.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+    document.documentElement.appendChild(host);
+    overlay = host.attachShadow({ mode: 'closed' });
+    return overlay;
+  };
+  document.addEventListener('DOMContentLoaded', ensureOverlay);
+  window.__strikerAnnotate = (kind, label, el) => {
+    const root = ensureOverlay();
+    const color = { click: '#ef4444', fill: '#3b82f6', navigate: '#10b981' }[kind] || '#f59e0b';
+    root.replaceChildren();
+    const rect = el?.getBoundingClientRect();
+    if (rect && rect.width > 0 && rect.height > 0) {
+      const box = document.createElement('div');
+      box.style.cssText = `position: fixed; left: ${rect.left - 4}px; top: ${rect.top - 4}px; width: ${rect.width + 8}px; height: ${rect.height + 8}px; border: 3px solid ${color}; border-radius: 4px; box-sizing: border-box;`;
+      root.appendChild(box);
+    }
+    const caption = document.createElement('div');
+    caption.textContent = `${kind.toUpperCase()} ${label}`;
+    caption.style.cssText = `position: fixed; left: 12px; bottom: 12px; max-width: 80%; padding: 6px 10px; background: ${color}; color: #fff; font: 600 14px/1.3 system-ui, sans-serif; border-radius: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;`;
+    root.appendChild(caption);
+    clearTimeout(clearTimer);
+    clearTimer = setTimeout(() => root.replaceChildren(), 1200);
+  };
+  window.__strikerClearAnnotations = () => {
+    clearTimeout(clearTimer);
+    overlay?.replaceChildren();
+  };
+}
+async function installPageHelpers(context) {
+  await context.addInitScript(observeWebVitals);
+  await context.addInitScript({ content: `window.__strikerCssPath = ${cssPathForElement.toString()};` });
+}
+function auditResponsiveLayout({ minTapTarget, minFontSize, checkTapTargets }) {
+  const cssPath = window.__strikerCssPath;
+  const viewportWidth = document.documentElement.clientWidth;
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+  };
+  const overflows = el => el.getBoundingClientRect().right > viewportWidth + 1;
+  const isClipped = el => {
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (window.getComputedStyle(node).overflowX !== 'visible' && !overflows(node)) return true;
+    }
+    return false;
+  };
+  const overflowingElements = [];
+  for (const el of document.body.querySelectorAll('*')) {
+    if (overflowingElements.length >= 20) break;
+    if (!overflows(el) || !isVisible(el) || (el.parentElement && el.parentElement !== document.body && overflows(el.parentElement)) || isClipped(el)) continue;
+    const rect = el.getBoundingClientRect();
+    overflowingElements.push({ selector: cssPath(el), width: Math.round(rect.width), right: Math.round(rect.right), viewportWidth });
+  }
+  const smallTapTargets = [];
+  if (checkTapTargets) {
+    for (const el of document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]')) {
+      if (smallTapTargets.length >= 20) break;
+      if (!isVisible(el) || (el.tagName === 'A' && el.closest('p, li') && window.getComputedStyle(el).display === 'inline')) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width < minTapTarget || rect.height < minTapTarget) {
+        smallTapTargets.push({ selector: cssPath(el), width: Math.round(rect.width), height: Math.round(rect.height), text: el.textContent?.trim().substring(0, 40) || '' });
+      }
+    }
+  }
+  const smallText = [];
+  for (const el of document.body.querySelectorAll('*')) {
+    if (smallText.length >= 20) break;
+    const hasText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0);
+    if (!hasText || !isVisible(el)) continue;
+    const fontSize = parseFloat(window.getComputedStyle(el).fontSize);
+    if (fontSize < minFontSize) {
+      smallText.push({ selector: cssPath(el), fontSize, text: el.textContent.trim().substring(0, 40) });
+    }
+  }
+  const nav = document.querySelector('nav, .navigation, .navbar, .menu, header .menu');
+  const toggle = Array.from(document.querySelectorAll(
+    '[aria-controls][aria-expanded], .hamburger, .navbar-toggler, .menu-toggle, .nav-toggle, button[aria-label*="menu" i]'
+  )).find(isVisible);
+  return {
+    horizontalScroll: document.documentElement.scrollWidth > viewportWidth + 1,
+    overflowingElements,
+    smallTapTargets,
+    smallText,
+    navigation: {
+      present: !!nav,
+      visibleLinks: nav ? Array.from(nav.querySelectorAll('a[href]')).filter(isVisible).length : 0,
+      toggleSelector: toggle ? cssPath(toggle) : null
+    }
+  };
+}
+async function checkNavigationUsability(page, navigation, failureTracker) {
+  const result = { present: navigation.present, visibleLinks: navigation.visibleLinks, hamburger: !!navigation.toggleSelector, opens: null, usable: true };
+  if (!navigation.present || navigation.visibleLinks > 0) {
+    return result;
+  }
+  if (!navigation.toggleSelector) {
+    result.usable = false;
+    return result;
+  }
+  try {
+    const toggle = await page.$(navigation.toggleSelector);
+    if (toggle && await isSafeClickDenied(toggle, failureTracker, navigation.toggleSelector)) {
+      return result;
+    }
+    await page.click(navigation.toggleSelector, { timeout: failureTracker.config.CLICK_TIMEOUT });
+    await page.waitForTimeout(500);
+    const visibleLinks = await page.evaluate(() => {
+      const nav = document.querySelector('nav, .navigation, .navbar, .menu, header .menu');
+      return Array.from(nav?.querySelectorAll('a[href]') || []).filter(a => {
+        const rect = a.getBoundingClientRect();
+        const style = window.getComputedStyle(a);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      }).length;
+    });
+    result.opens = visibleLinks > 0;
+  } catch (error) {
+    rethrowIfAborted(error);
+    result.opens = false;
+  }
+  result.usable = result.opens;
+  return result;
+}
+function recordResponsiveFailures(device, report, url, failureTracker) {
+  const label = `${device.name} (${device.width}x${device.height})`;
+  if (report.horizontalScroll || report.overflowingElements.length > 0) {
+    failureTracker.addFailure('RESPONSIVE_OVERFLOW',
+      `${label}: ${report.overflowingElements.length} elements overflow the viewport`, 'medium', url,
+      { device: device.name, elements: report.overflowingElements.slice(0, 5) });
+  }
+  if (report.smallTapTargets.length > 0) {
+    failureTracker.addFailure('SMALL_TAP_TARGETS',
+      `${label}: ${report.smallTapTargets.length} tap targets are smaller than ${failureTracker.config.MIN_TAP_TARGET}px`, 'low', url,
+      { device: device.name, elements: report.smallTapTargets.slice(0, 5) });
+  }
+  if (report.smallText.length > 0) {
+    failureTracker.addFailure('SMALL_TEXT',
+      `${label}: ${report.smallText.length} text elements are smaller than ${failureTracker.config.MIN_FONT_SIZE}px`, 'low', url,
+      { device: device.name, elements: report.smallText.slice(0, 5) });
+  }
+  if (!report.navigation.usable) {
+    failureTracker.addFailure('NAVIGATION_UNUSABLE',
+      `${label}: navigation has no visible links${report.navigation.hamburger ? ' and the menu toggle does not open it' : ' and no menu toggle'}`, 'high', url,
+      { device: device.name });
+  }
+}
+async function testResponsiveDevices(context, url, failureTracker) {
+  const storageState = await context.storageState();
+  const { config } = failureTracker;
+  for (const device of config.DEVICES) {
+    failureTracker.checkpoint();
+    console.log(`📱 Testing ${device.name} viewport (${device.width}x${device.height}${device.hasTouch ? ', touch' : ''})...`);
+    const pooledBrowser = await browserPool.acquire({ nested: true });
+    let deviceContext = null;
+    try {
+      deviceContext = await pooledBrowser.newContext({
+        viewport: { width: device.width, height: device.height },
+        deviceScaleFactor: device.deviceScaleFactor,
+        isMobile: device.isMobile,
+        hasTouch: device.hasTouch,
+        storageState
+      });
+      await installPageHelpers(deviceContext);
+      const devicePage = await deviceContext.newPage();
+      await devicePage.goto(url, { waitUntil: 'domcontentloaded', timeout: config.PAGE_TIMEOUT });
+      await devicePage.waitForTimeout(1000);
+      const audit = await devicePage.evaluate(auditResponsiveLayout, {
+        minTapTarget: config.MIN_TAP_TARGET,
+        minFontSize: config.MIN_FONT_SIZE,
+        checkTapTargets: device.hasTouch
+      });
+      const screenshot = await devicePage.screenshot({ type: 'jpeg', quality: 60 });
+      const report = {
+        device: device.name,
+        viewport: { width: device.width, height: device.height },
+        deviceScaleFactor: device.deviceScaleFactor,
+        hasTouch: device.hasTouch,
+        horizontalScroll: audit.horizontalScroll,
+        overflowingElements: audit.overflowingElements,
+        smallTapTargets: audit.smallTapTargets,
+        smallText: audit.smallText,
+        navigation: await checkNavigationUsability(devicePage, audit.navigation, failureTracker),
+        screenshot: failureTracker.addScreenshot({
+          url,
+          kind: 'device',
+          label: `📱 ${device.name} ${device.width}x${device.height}`,
+          width: Math.round(device.width * device.deviceScaleFactor),
+          height: Math.round(device.height * device.deviceScaleFactor),
+          data: screenshot
+        })
+      };
+      failureTracker.responsive.push(report);
+      recordResponsiveFailures(device, report, url, failureTracker);
+    } catch (error) {
+      rethrowIfAborted(error);
+      failureTracker.addFailure('DEVICE_TEST_FAILED', `${device.name}: ${error.message}`, 'medium', url);
+    } finally {
+      await deviceContext?.close().catch(() => {});
+      browserPool.release();
+    }
+  }
+}
+async function collectPageMetrics(page) {
+  return page.evaluate(() => {
+    const elements = {
+      images: document.querySelectorAll('img').length,
+      headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+      paragraphs: document.querySelectorAll('p').length,
+      forms: document.querySelectorAll('form').length,
+      buttons: document.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]').length,
+      links: document.querySelectorAll('a[href]').length,
+      inputs: document.querySelectorAll('input, textarea, select').length
+    };
+    const text = document.body.innerText || '';
+    const title = document.title || '';
+    return {
+      ...elements,
+      bodyText: text.substring(0, 500),
+      title,
+      contentLength: text.length,
+      hasLoginForm: !!document.querySelector('form input[type="password"]'),
+      hasDynamicElements: !!(
+        document.querySelector('.loading, .spinner, [data-loading]') ||
+        document.querySelector('[data-testid], [data-cy]') ||
+        document.querySelector('.react-root, #root, #app, [ng-app]')
+      ),
+      hasInteractiveFeatures: !!(
+        document.querySelector('canvas') ||
+        document.querySelector('video, audio') ||
+        document.querySelector('.carousel, .slider, .swiper') ||
+        document.querySelector('[role="tabpanel"], [role="tab"]') ||
+        document.querySelector('.dropdown, .modal, .popup')
+      ),
+      hasNavigation: !!document.querySelector('nav, .navigation, .navbar, .menu, header .menu'),
+      hasSearchForm: !!document.querySelector('form input[type="search"], form input[placeholder*="search" i]'),
+      hasContactForm: !!document.querySelector('form input[type="email"], form textarea')
+    };
+  });
+}
+function createAbortedResult(url, abort) {
+  return {
+    url,
+    finalDecision: 'FAIL',
+    combinedReasons: `${abort.message} before testing started`,
+    decisions: [],
+    screenshot_url: null,
+    advancedTesting: true,
+    aborted: abort.reason,
+    partial: true
+  };
+}
+async function testUrl(url, options, progressEntry) {
+  progressEntry.status = 'waiting';
+  const browser = await browserPool.acquire();
+  try {
+    const abort = progressEntry.controller.getAbort();
+    if (abort) {
+      console.log(`🛑 Skipping ${url}: ${abort.message}`);
+      progressEntry.status = abort.reason.toLowerCase();
+      return createAbortedResult(url, abort);
+    }
+    progressEntry.controller.start();
+    return await runUrlAttempts(browser, url, options, progressEntry);
+  } finally {
+    browserPool.release();
+  }
+}
+async function runUrlAttempts(browser, url, { profile, artifacts: recordArtifacts = false }, progressEntry) {
+  console.log(`🚀 Starting comprehensive test for ${url}...`);
+  const config = resolveTestingConfig(profile);
+  const failureTracker = new FailureTracker(progressEntry.controller, config);
+  failureTracker.enterPage(url);
+  failureTracker.scope = compileCrawlScope(config.CRAWL_SCOPE, url);
+  failureTracker.crawl.scope = failureTracker.scope.applied;
+  failureTracker.safeClick = compileSafeClickPolicy(config.SAFE_CLICK);
+  const authSession = progressEntry.auth ? new AuthSession(progressEntry.auth) : null;
+  failureTracker.authSession = authSession;
+  progressEntry.status = 'running';
+  progressEntry.tracker = failureTracker;
+  let result = null;
+  let success = false;
+  let attempts = 0;
+  const maxAttempts = 2;
+  while (!success && attempts < maxAttempts) {
+    attempts++;
+    if (attempts === maxAttempts) {
+      failureTracker.addFailure('MAX_ATTEMPTS_REACHED', 'Test got stuck and exceeded max attempts', 'critical');
+      break;
+    }
+    const recorder = config.RECORD_SESSION && !authSession?.hasRecipe ? new SessionRecorder(config) : null;
+    if (config.RECORD_SESSION && authSession?.hasRecipe) {
+      console.log('🎬 Session recording disabled: the login recipe would be captured on video');
+    }
+    failureTracker.recorder = recorder;
+    const artifacts = recordArtifacts && !authSession ? new ReviewArtifacts(config) : null;
+    if (recordArtifacts && authSession) {
+      console.log('📦 Trace and HAR export disabled: they would capture authentication secrets');
+    }
+    let reviewId = null;
+    const context = await browser.newContext({
+      ...(authSession ? authSession.contextOptions() : {}),
+      ...(recorder ? await recorder.prepare() : {}),
+      ...(artifacts ? await artifacts.prepare() : {})
+    });
+    if (artifacts) {
+      await artifacts.startTrace(context);
+    }
+    const page = await context.newPage();
+    failureTracker.transfer = trackTransferredBytes(page);
+    try {
+      await page.setViewportSize({ width: 1440, height: 900 });
+      await page.setExtraHTTPHeaders({
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      });
+      await installErrorCapture(context, failureTracker);
+      await installPageHelpers(context);
+      if (recorder) {
+        await context.addInitScript(installRecordingOverlay);
+      }
+      const issues = {
+        requests: [],
+        responses: []
+      };
+      page.on('requestfailed', request => {
+        const requestUrl = request.url();
+        const failure = request.failure();
+        if (!requestUrl.includes('favicon') && 
+            !requestUrl.includes('analytics') &&
+            !requestUrl.includes('ads') &&
+            !requestUrl.includes('tracking')) {
+          issues.requests.push(`${requestUrl} - ${failure?.errorText || 'Unknown'}`);
+          failureTracker.addFailure('REQUEST_FAILED', 
+            `Failed to load: ${requestUrl}`, 'medium');
+        }
+      });
+      page.on('response', response => {
+        if (!response.ok() && response.status() >= 400) {
+          const responseUrl = response.url();
+          if (!responseUrl.includes('favicon') && 
+              !responseUrl.includes('analytics') &&
+              !responseUrl.includes('ads')) {
+            issues.responses.push(`${responseUrl} - HTTP ${response.status()}`);
+            if (response.status() >= 500) {
+              failureTracker.addFailure('SERVER_ERROR', 
+                `${responseUrl} returned ${response.status()}`, 'critical');
+            } else if (response.status() >= 400) {
+              failureTracker.addFailure('CLIENT_ERROR', 
+                `${responseUrl} returned ${response.status()}`, 'high');
             }
+          }
+        }
+      });
+      let status = 0;
+      let pageMetrics = null;
+      let pagePerformance = null;
+      let landingScreenshot = null;
+      let landingShot = null;
+      let abortReason = null;
+      let loginFailure = null;
+      try {
+        failureTracker.checkpoint();
+        failureTracker.currentInteraction = 'page load';
+        if (authSession) {
+          await authSession.authenticate(page, failureTracker, url);
+        }
+        const cdp = config.EMULATION ? await applyEmulation(page, config.EMULATION) : null;
+        console.log(`📍 Loading page: ${url}`);
+        const response = await page.goto(url, { 
+          waitUntil: 'domcontentloaded', 
+          timeout: failureTracker.config.PAGE_TIMEOUT 
+        });
+        status = response?.status() || 0;
+        failureTracker.recordPageLoad(status >= 400 ? 'http_error' : 'loaded', status);
+        console.log(`📊 HTTP Status: ${status}`);
+        if (recorder) {
+          await recorder.annotatePage(page, 'navigate', url);
+        }
+        if (status >= 400) {
+          failureTracker.addFailure('HTTP_ERROR', 
+            `Page returned HTTP ${status}`, 'critical');
+        }
+        await page.waitForTimeout(2000);
+        if (authSession) {
+          await authSession.verifyStoredSession(page);
+        }
+        if (status < 400) {
+          if (recorder) {
+            await recorder.clearAnnotations(page);
+          }
+          landingScreenshot = await page.screenshot({ type: 'png', fullPage: false, clip: { x: 0, y: 0, width: 1440, height: 900 } });
+          landingShot = failureTracker.addScreenshot({ url, kind: 'landing', label: '🖥️ landing viewport', contentType: 'image/png', width: 1440, height: 900, data: landingScreenshot });
+          await captureFullPage(page, failureTracker, url);
+          await captureThumbnail(page, failureTracker, url);
+        }
+        if (cdp && config.EMULATION.network === 'offlineAfterLoad') {
+          await goOfflineAfterLoad(cdp);
+        }
+        pageMetrics = await collectPageMetrics(page);
+        console.log(`📋 Page metrics: ${pageMetrics.forms} forms, ${pageMetrics.buttons} buttons, ${pageMetrics.links} links`);
+        if (config.PHASES.performance) {
+          pagePerformance = await measurePagePerformance(page, failureTracker);
+        }
+        if (config.PHASES.accessibility) {
+          await auditPageAccessibility(page, failureTracker);
+        }
+        console.log('🧪 Starting comprehensive testing sequence...');
+        if (config.PHASES.scrolling) {
+          await performHumanLikeScrolling(page, failureTracker);
+        }
+        if (config.PHASES.forms && pageMetrics.forms > 0) {
+          await testAllForms(page, failureTracker);
+        }
+        if (config.PHASES.interactive && (pageMetrics.buttons > 0 || pageMetrics.links > 0)) {
+          await testAllInteractiveElements(page, failureTracker);
+        }
+        if (config.PHASES.keyboard && (pageMetrics.buttons > 0 || pageMetrics.links > 0)) {
+          await testKeyboardNavigation(page, failureTracker);
+        }
+        if (config.PHASES.performance) {
+          await measureInteractionLatency(page, failureTracker, pagePerformance);
+        }
+        if (config.PHASES.deepNavigation && (pageMetrics.hasNavigation || config.USE_SITEMAP || failureTracker.crawl.spaRoutes.length > 0)) {
+          console.log('🗺️ Starting deep navigation testing...');
+          await prepareCrawl(page, url, failureTracker);
+          await performComprehensiveNavigation(page, url, failureTracker, config.MAX_DEPTH);
+        }
+        summarizeJavaScriptErrors(failureTracker, url);
+        failureTracker.checkpoint();
+        if (config.PHASES.mobile) {
+          console.log('📱 Testing responsive behavior...');
+          await testResponsiveDevices(context, url, failureTracker);
+        }
+      } catch (error) {
+        if (error instanceof LoginFailedError) {
+          loginFailure = error.message;
+          failureTracker.recordPageLoad('login_failed');
+          failureTracker.addFailure('LOGIN_FAILED', error.message, 'critical', failureTracker.currentPage);
+        } else {
+          if (!(error instanceof ReviewAbortedError)) throw error;
+          abortReason = error.reason;
+          failureTracker.addFailure(error.reason, error.message, 'critical', failureTracker.currentPage);
+        }
+      }
+      if (!pageMetrics) {
+        pageMetrics = await collectPageMetrics(page);
+      }
+      await page.setViewportSize({ width: 1440, height: 900 });
+      await page.waitForTimeout(500);
+      const htmlSnapshot = await page.content();
+      const visual = landingScreenshot && config.PHASES.visual ?
+        await compareWithVisualBaseline(url, landingScreenshot.toString('base64'), { width: 1440, height: 900 }, failureTracker) :
+        null;
+      const testSummary = failureTracker.getSummary();
+      const throttling = config.EMULATION ? await compareWithUnthrottledBaseline(url, failureTracker) : null;
+      const accessibility = summarizeAccessibility(failureTracker);
+      console.log(`📊 Test Summary: ${testSummary.totalFailures} failures, ${testSummary.criticalFailures} critical, ${testSummary.brokenElements}/${testSummary.testedElements} broken elements`);
+      let finalDecision = 'PASS';
+      let aiReason = null;
+      let aiRawResponse = '';
+      if (process.env.OPENAI_API_KEY && !abortReason && !loginFailure) {
+        try {
+          const prompt = generateAdvancedAIPrompt(pageMetrics, status, failureTracker, htmlSnapshot, pagePerformance);
+          const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+            },
+            body: JSON.stringify({
+              model: 'gpt-4o',
+              messages: [{ role: 'user', content: prompt }],
+              max_tokens: 200,
+              temperature: 0.1
+            }),
           });
-          page.on('response', response => {
-            if (!response.ok() && response.status() >= 400) {
-              const responseUrl = response.url();
-              if (!responseUrl.includes('favicon') && 
-                  !responseUrl.includes('analytics') &&
-                  !responseUrl.includes('ads')) {
-                issues.responses.push(`${responseUrl} - HTTP ${response.status()}`);
-                if (response.status() >= 500) {
-                  failureTracker.addFailure('SERVER_ERROR', 
-                    `${responseUrl} returned ${response.status()}`, 'critical');
-                } else if (response.status() >= 400) {
-                  failureTracker.addFailure('CLIENT_ERROR', 
-                    `${responseUrl} returned ${response.status()}`, 'high');
-                }
-              }
+          if (openaiResponse.ok) {
+            const data = await openaiResponse.json();
+            aiRawResponse = data.choices?.[0]?.message?.content?.trim() || '';
+            if (/RESULT:\s*PASS/i.test(aiRawResponse)) {
+              finalDecision = 'PASS';
+            } else if (/RESULT:\s*FAIL/i.test(aiRawResponse)) {
+              finalDecision = 'FAIL';
+              const match = aiRawResponse.match(/REASON:\s*(.+)/i);
+              aiReason = match ? match[1].trim() : 'Critical functionality issues detected';
             }
-          });
-          console.log(`📍 Loading page: ${url}`);
-          const response = await page.goto(url, { 
-            waitUntil: 'domcontentloaded', 
-            timeout: TESTING_CONFIG.PAGE_TIMEOUT 
-          });
-          const status = response?.status() || 0;
-          console.log(`📊 HTTP Status: ${status}`);
-          if (status >= 400) {
-            failureTracker.addFailure('HTTP_ERROR', 
-              `Page returned HTTP ${status}`, 'critical');
-          }
-          await page.waitForTimeout(2000);
-          const pageMetrics = await page.evaluate(() => {
-            const elements = {
-              images: document.querySelectorAll('img').length,
-              headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
-              paragraphs: document.querySelectorAll('p').length,
-              forms: document.querySelectorAll('form').length,
-              buttons: document.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]').length,
-              links: document.querySelectorAll('a[href]').length,
-              inputs: document.querySelectorAll('input, textarea, select').length
-            };
-            const text = document.body.innerText || '';
-            const title = document.title || '';
-            return {
-              ...elements,
-              bodyText: text.substring(0, 500),
-              title,
-              contentLength: text.length,
-              hasLoginForm: !!document.querySelector('form input[type="password"]'),
-              hasDynamicElements: !!(
-                document.querySelector('.loading, .spinner, [data-loading]') ||
-                document.querySelector('[data-testid], [data-cy]') ||
-                document.querySelector('.react-root, #root, #app, [ng-app]')
-              ),
-              hasInteractiveFeatures: !!(
-                document.querySelector('canvas') ||
-                document.querySelector('video, audio') ||
-                document.querySelector('.carousel, .slider, .swiper') ||
-                document.querySelector('[role="tabpanel"], [role="tab"]') ||
-                document.querySelector('.dropdown, .modal, .popup')
-              ),
-              hasNavigation: !!document.querySelector('nav, .navigation, .navbar, .menu, header .menu'),
-              hasSearchForm: !!document.querySelector('form input[type="search"], form input[placeholder*="search" i]'),
-              hasContactForm: !!document.querySelector('form input[type="email"], form textarea')
-            };
-          });
-          console.log(`📋 Page metrics: ${pageMetrics.forms} forms, ${pageMetrics.buttons} buttons, ${pageMetrics.links} links`);
-          console.log('🧪 Starting comprehensive testing sequence...');
-          await performHumanLikeScrolling(page, failureTracker);
-          if (pageMetrics.forms > 0) {
-            await testAllForms(page, failureTracker);
+          } else {
+            console.error('❌ OpenAI API Error:', openaiResponse.status);
+            failureTracker.addWarning('AI evaluation unavailable, using local evaluation');
           }
-          if (pageMetrics.buttons > 0 || pageMetrics.links > 0) {
-            await testAllInteractiveElements(page, failureTracker);
+        } catch (aiError) {
+          console.error('❌ AI Review Error:', aiError.message);
+          failureTracker.addWarning('AI evaluation failed, using local evaluation');
+        }
+      }
+      if (testSummary.shouldFail) {
+        finalDecision = 'FAIL';
+        if (!aiReason) {
+          const reasons = [];
+          if (abortReason) {
+            reasons.push(abortReason === 'TIMEOUT' ? 'Time budget exceeded' : 'Review cancelled');
           }
-          if (deepTest && pageMetrics.hasNavigation) {
-            console.log('🗺️ Starting deep navigation testing...');
-            await performComprehensiveNavigation(page, url, failureTracker, Math.min(maxDepth, 4));
+          if (testSummary.criticalFailures > 0) {
+            reasons.push(`${testSummary.criticalFailures} critical failures`);
           }
-          await checkForJavaScriptErrors(page, failureTracker);
-          console.log('📱 Testing responsive behavior...');
-          await page.setViewportSize({ width: 375, height: 667 });
-          await page.waitForTimeout(1000);
-          const mobileMetrics = await page.evaluate(() => {
-            const hasHorizontalScroll = document.body.scrollWidth > window.innerWidth;
-            const hasOverflowingElements = Array.from(document.querySelectorAll('*')).some(el => {
-              const rect = el.getBoundingClientRect();
-              return rect.right > window.innerWidth;
-            });
-            return { hasHorizontalScroll, hasOverflowingElements };
-          });
-          if (mobileMetrics.hasHorizontalScroll || mobileMetrics.hasOverflowingElements) {
-            failureTracker.addWarning('Potential mobile responsiveness issues detected');
+          if (testSummary.brokenElementRatio > 0.3) {
+            reasons.push(`${(testSummary.brokenElementRatio * 100).toFixed(1)}% broken elements`);
           }
-          await page.setViewportSize({ width: 1440, height: 900 });
-          await page.waitForTimeout(500);
-          const htmlSnapshot = await page.content();
-          const testSummary = failureTracker.getSummary();
-          console.log(`📊 Test Summary: ${testSummary.totalFailures} failures, ${testSummary.criticalFailures} critical, ${testSummary.brokenElements}/${testSummary.testedElements} broken elements`);
-          let finalDecision = 'PASS';
-          let aiReason = null;
-          let aiRawResponse = '';
-          if (process.env.OPENAI_API_KEY) {
-            try {
-              const prompt = generateAdvancedAIPrompt(pageMetrics, status, failureTracker, htmlSnapshot);
-              const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                },
-                body: JSON.stringify({
-                  model: 'gpt-4o',
-                  messages: [{ role: 'user', content: prompt }],
-                  max_tokens: 200,
-                  temperature: 0.1
-                }),
-              });
-              if (openaiResponse.ok) {
-                const data = await openaiResponse.json();
-                aiRawResponse = data.choices?.[0]?.message?.content?.trim() || '';
-                if (/RESULT:\s*PASS/i.test(aiRawResponse)) {
-                  finalDecision = 'PASS';
-                } else if (/RESULT:\s*FAIL/i.test(aiRawResponse)) {
-                  finalDecision = 'FAIL';
-                  const match = aiRawResponse.match(/REASON:\s*(.+)/i);
-                  aiReason = match ? match[1].trim() : 'Critical functionality issues detected';
-                }
-              } else {
-                console.error('❌ OpenAI API Error:', openaiResponse.status);
-                failureTracker.addWarning('AI evaluation unavailable, using local evaluation');
-              }
-            } catch (aiError) {
-              console.error('❌ AI Review Error:', aiError.message);
-              failureTracker.addWarning('AI evaluation failed, using local evaluation');
-            }
+          if (status >= 400) {
+            reasons.push(`HTTP ${status} error`);
           }
-          if (testSummary.shouldFail) {
-            finalDecision = 'FAIL';
-            if (!aiReason) {
-              const reasons = [];
-              if (testSummary.criticalFailures > 0) {
-                reasons.push(`${testSummary.criticalFailures} critical failures`);
-              }
-              if (testSummary.brokenElementRatio > 0.3) {
-                reasons.push(`${(testSummary.brokenElementRatio * 100).toFixed(1)}% broken elements`);
-              }
-              if (status >= 400) {
-                reasons.push(`HTTP ${status} error`);
-              }
-              aiReason = reasons.join(', ') || 'Multiple functionality issues';
-            }
+          aiReason = reasons.join(', ') || 'Multiple functionality issues';
+        }
+      }
+      if (loginFailure) {
+        finalDecision = 'LOGIN_FAILED';
+        aiReason = `Login failed: ${loginFailure}`;
+      }
+      if (!landingShot) {
+        await page.evaluate(() => window.scrollTo(0, 0));
+        await recorder?.clearAnnotations(page);
+        await page.waitForTimeout(300);
+        const screenshot = await page.screenshot({ 
+          type: 'png', 
+          fullPage: false,
+          clip: { x: 0, y: 0, width: 1440, height: 900 }
+        });
+        landingShot = failureTracker.addScreenshot({ url, kind: 'landing', label: '🖥️ landing viewport', contentType: 'image/png', width: 1440, height: 900, data: screenshot });
+      }
+      let recording = null;
+      if (recorder) {
+        try {
+          recording = await recorder.finish(page);
+        } catch (recordingError) {
+          failureTracker.addWarning(`Could not save session recording: ${recordingError.message}`);
+        }
+      }
+      const recordingSummary = recording && { format: recording.format, bytes: recording.bytes, durationMs: recording.durationMs, annotations: recording.annotations, skipped: recording.skipped || null };
+      let reviewText = finalDecision === 'PASS' ? 
+        `APPROVED - Advanced Functionality Testing (${testSummary.testedElements} elements tested, ${testSummary.pagesVisited} pages)` : 
+        `DENIED: ${aiReason}`;
+      if (loginFailure) {
+        reviewText = `LOGIN FAILED: ${loginFailure}`;
+      }
+      const dbRecord = {
+        url,
+        review: reviewText,
+        html_snapshot: htmlSnapshot.substring(0, 5000),
+        ai_raw_response: JSON.stringify({ 
+          decision: finalDecision, 
+          reason: aiReason, 
+          raw: aiRawResponse,
+          metrics: pageMetrics,
+          testSummary,
+          failures: failureTracker.failures,
+          criticalFailures: failureTracker.criticalFailures,
+          warnings: failureTracker.warnings,
+          formSubmissions: failureTracker.formSubmissions,
+          formValidation: failureTracker.formValidation,
+          authentication: authSession ? authSession.getSummary() : null,
+          crawl: failureTracker.crawl,
+          skippedElements: failureTracker.skippedElements,
+          blockedRequests: failureTracker.blockedRequests,
+          javascriptErrors: failureTracker.javascriptErrors,
+          performance: pagePerformance,
+          throttling,
+          pages: failureTracker.getPageBreakdown(),
+          responsive: failureTracker.responsive,
+          accessibility,
+          keyboard: failureTracker.keyboard,
+          visual,
+          screenshot: landingShot,
+          recording: recordingSummary,
+          artifacts: artifacts ? DEBUG_ARTIFACT_KINDS : [],
+          advancedTesting: true,
+          deepTest: config.PHASES.deepNavigation,
+          profile,
+          aborted: abortReason,
+          partial: !!abortReason,
+          timestamp: new Date().toISOString(),
+          version: '2.0-advanced'
+        }),
+        model_used: process.env.OPENAI_API_KEY ? 'openai-gpt-4o-advanced' : 'local-advanced',
+        screenshot_base64: null,
+        gif_base64: null,
+        created_at: new Date().toISOString()
+      };
+      try {
+        const { data: insertedReview, error: insertError } = await supabase.from('reviews').insert([dbRecord]).select('id').single();
+        if (insertError) {
+          console.error(`❌ Database Error for ${url}:`, insertError.message);
+        } else {
+          reviewId = insertedReview.id;
+        }
+      } catch (dbError) {
+        console.error(`❌ Database Connection Error for ${url}:`, dbError.message);
+      }
+      const screenshots = reviewId !== null ? await storeReviewScreenshots(reviewId, failureTracker.screenshots) : [];
+      if (recording?.data && reviewId !== null) {
+        const stored = await storeReviewArtifact(reviewId, url, 'recording', recording.data).catch(storeError => {
+          console.error(`❌ Could not store session recording for ${url}:`, storeError.message);
+          return null;
+        });
+        recordingSummary.downloadUrl = stored?.downloadUrl || null;
+        if (stored) {
+          // The WebM lives in review_artifacts; gif_base64 holds its download URL
+          const { error: replayError } = await supabase.from('reviews').update({ gif_base64: stored.downloadUrl }).eq('id', reviewId);
+          if (replayError) {
+            console.error(`❌ Could not link session recording to review ${reviewId}:`, replayError.message);
           }
-          await page.evaluate(() => window.scrollTo(0, 0));
-          await page.waitForTimeout(300);
-          const screenshot = await page.screenshot({ 
-            type: 'png', 
-            fullPage: false,
-            clip: { x: 0, y: 0, width: 1440, height: 900 }
-          });
-          const screenshotBase64 = screenshot.toString('base64');
-          const reviewText = finalDecision === 'PASS' ? 
-            `APPROVED - Advanced Functionality Testing (${testSummary.testedElements} elements tested, ${testSummary.pagesVisited} pages)` : 
-            `DENIED: ${aiReason}`;
-          const dbRecord = {
+        }
+      }
+      const resultIcon = finalDecision === 'PASS' ? '✅' : loginFailure ? '🔐' : '❌';
+      console.log(`${resultIcon} [${finalDecision}] ${url}${aiReason ? ' - ' + aiReason : ''}`);
+      console.log(`   📊 Advanced Metrics: ${testSummary.testedElements} elements tested, ${testSummary.brokenElements} broken, ${testSummary.pagesVisited} pages visited`);
+      console.log(`   🔍 Failure breakdown: ${testSummary.criticalFailures} critical, ${testSummary.totalFailures - testSummary.criticalFailures} other`);
+      result = {
+        url,
+        reviewId,
+        finalDecision,
+        combinedReasons: aiReason,
+        decisions: [{ 
+          model: process.env.OPENAI_API_KEY ? 'openai-gpt-4o-advanced' : 'local-advanced', 
+          decision: finalDecision, 
+          reason: aiReason, 
+          raw: aiRawResponse 
+        }],
+        screenshot_url: landingShot.src,
+        gif_base64: recordingSummary?.downloadUrl || null,
+        metrics: pageMetrics,
+        testSummary,
+        failures: failureTracker.failures.slice(0, 10),
+        criticalFailures: failureTracker.criticalFailures,
+        warnings: failureTracker.warnings.slice(0, 5),
+        formSubmissions: failureTracker.formSubmissions,
+        formValidation: failureTracker.formValidation,
+        authentication: authSession ? authSession.getSummary() : null,
+        crawl: failureTracker.crawl,
+        skippedElements: failureTracker.skippedElements,
+        blockedRequests: failureTracker.blockedRequests,
+        javascriptErrors: failureTracker.javascriptErrors.slice(0, 20),
+        pages: failureTracker.getPageBreakdown(),
+        throttling,
+        responsive: failureTracker.responsive,
+        accessibility,
+        keyboard: failureTracker.keyboard,
+        visual,
+        recording: recordingSummary,
+        screenshots,
+        advancedTesting: true,
+        aborted: abortReason,
+        partial: !!abortReason,
+        issues: {
+          console: failureTracker.javascriptErrors.length,
+          requests: issues.requests.length,
+          responses: issues.responses.length
+        },
+        performance: {
+          status,
+          contentLength: pageMetrics.contentLength,
+          loadTime: pagePerformance?.load ?? null,
+          ...pagePerformance,
+          elementsTestedRatio: testSummary.testedElements > 0 ? 
+            (testSummary.testedElements - testSummary.brokenElements) / testSummary.testedElements : 0
+        }
+      };
+      success = true;
+    } catch (err) {
+      console.log(`⚠️ Attempt ${attempts}/${maxAttempts} failed for ${url}: ${err.message}`);
+      if (attempts === maxAttempts) {
+        console.error(`🚨 Failed to test ${url} after ${maxAttempts} attempts`);
+        try {
+          await supabase.from('reviews').insert([{
             url,
-            review: reviewText,
-            html_snapshot: htmlSnapshot.substring(0, 5000),
+            review: `DENIED: Test execution failed - ${err.message}`,
+            html_snapshot: null,
             ai_raw_response: JSON.stringify({ 
-              decision: finalDecision, 
-              reason: aiReason, 
-              raw: aiRawResponse,
-              metrics: pageMetrics,
-              testSummary,
-              failures: failureTracker.failures,
-              criticalFailures: failureTracker.criticalFailures,
-              warnings: failureTracker.warnings,
+              error: err.message, 
               advancedTesting: true,
-              deepTest,
-              timestamp: new Date().toISOString(),
-              version: '2.0-advanced'
+              testFailed: true,
+              timestamp: new Date().toISOString()
             }),
-            model_used: process.env.OPENAI_API_KEY ? 'openai-gpt-4o-advanced' : 'local-advanced',
-            screenshot_base64: screenshotBase64,
+            model_used: 'error-advanced',
+            screenshot_base64: null,
             gif_base64: null,
             created_at: new Date().toISOString()
-          };
-          try {
-            const { error: insertError } = await supabase.from('reviews').insert([dbRecord]);
-            if (insertError) {
-              console.error(`❌ Database Error for ${url}:`, insertError.message);
-            }
-          } catch (dbError) {
-            console.error(`❌ Database Connection Error for ${url}:`, dbError.message);
-          }
-          const resultIcon = finalDecision === 'PASS' ? '✅' : '❌';
-          console.log(`${resultIcon} [${finalDecision}] ${url}${aiReason ? ' - ' + aiReason : ''}`);
-          console.log(`   📊 Advanced Metrics: ${testSummary.testedElements} elements tested, ${testSummary.brokenElements} broken, ${testSummary.pagesVisited} pages visited`);
-          console.log(`   🔍 Failure breakdown: ${testSummary.criticalFailures} critical, ${testSummary.totalFailures - testSummary.criticalFailures} other`);
-          results.push({
-            url,
-            finalDecision,
-            combinedReasons: aiReason,
-            decisions: [{ 
-              model: process.env.OPENAI_API_KEY ? 'openai-gpt-4o-advanced' : 'local-advanced', 
-              decision: finalDecision, 
-              reason: aiReason, 
-              raw: aiRawResponse 
-            }],
-            screenshot_base64: screenshotBase64,
-            metrics: pageMetrics,
-            testSummary,
-            failures: failureTracker.failures.slice(0, 10),
-            criticalFailures: failureTracker.criticalFailures,
-            warnings: failureTracker.warnings.slice(0, 5),
-            advancedTesting: true,
-            issues: {
-              console: issues.console.length,
-              requests: issues.requests.length,
-              responses: issues.responses.length
-            },
-            performance: {
-              status,
-              contentLength: pageMetrics.contentLength,
-              loadTime: Date.now(),
-              elementsTestedRatio: testSummary.testedElements > 0 ? 
-                (testSummary.testedElements - testSummary.brokenElements) / testSummary.testedElements : 0
-            }
-          });
-          success = true;
-        } catch (err) {
-          console.log(`⚠️ Attempt ${attempts}/${maxAttempts} failed for ${url}: ${err.message}`);
-          if (attempts === maxAttempts) {
-            console.error(`🚨 Failed to test ${url} after ${maxAttempts} attempts`);
-            try {
-              await supabase.from('reviews').insert([{
-                url,
-                review: `DENIED: Test execution failed - ${err.message}`,
-                html_snapshot: null,
-                ai_raw_response: JSON.stringify({ 
-                  error: err.message, 
-                  advancedTesting: true,
-                  testFailed: true,
-                  timestamp: new Date().toISOString()
-                }),
-                model_used: 'error-advanced',
-                screenshot_base64: null,
-                gif_base64: null,
-                created_at: new Date().toISOString()
-              }]);
-            } catch (dbError) {
-              console.error(`❌ Failed to record error for ${url}:`, dbError.message);
-            }
-            results.push({
-              url,
-              finalDecision: 'FAIL',
-              combinedReasons: `Test execution failed: ${err.message}`,
-              decisions: [],
-              screenshot_base64: null,
-              advancedTesting: true,
-              testFailed: true,
-              error: err.message
-            });
-          } else {
-            await new Promise(resolve => setTimeout(resolve, 3000 * attempts));
-          }
-        } finally {
-          try {
-            await page.close();
-          } catch (closeError) {
-            console.log('⚠️ Page close error:', closeError.message);
-          }
+          }]);
+        } catch (dbError) {
+          console.error(`❌ Failed to record error for ${url}:`, dbError.message);
         }
+        result = createFailedResult(url, err.message);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, 3000 * attempts));
       }
-    }
-    const total = results.length;
-    const passed = results.filter(r => r.finalDecision === 'PASS').length;
-    const failed = total - passed;
-    const totalElementsTested = results.reduce((sum, r) => sum + (r.testSummary?.testedElements || 0), 0);
-    const totalBrokenElements = results.reduce((sum, r) => sum + (r.testSummary?.brokenElements || 0), 0);
-    const totalPagesVisited = results.reduce((sum, r) => sum + (r.testSummary?.pagesVisited || 0), 0);
-    const totalCriticalFailures = results.reduce((sum, r) => sum + (r.testSummary?.criticalFailures || 0), 0);
-    const avgContentLength = Math.round(
-      results.reduce((sum, r) => sum + (r.performance?.contentLength || 0), 0) / total
-    );
-    const summary = results.map(r => {
-      let line = `🔗 ${r.url}\n   ➜ ${r.finalDecision}`;
-      if (r.combinedReasons) {
-        line += ` - ${r.combinedReasons}`;
+    } finally {
+      if (artifacts) {
+        await artifacts.stopTrace(context).catch(traceError => console.log('⚠️ Trace export error:', traceError.message));
+      }
+      try {
+        await context.close();
+      } catch (closeError) {
+        console.log('⚠️ Context close error:', closeError.message);
       }
-      if (r.advancedTesting && !r.error) {
-        const ts = r.testSummary || {};
-        line += `\n   📊 ${ts.testedElements || 0} elements tested, ${ts.brokenElements || 0} broken, ${ts.pagesVisited || 0} pages explored`;
-        if (ts.criticalFailures > 0) {
-          line += `, ${ts.criticalFailures} critical failures`;
+      if (recorder) {
+        await recorder.dispose();
+      }
+      if (artifacts) {
+        if (reviewId !== null && result) {
+          result.artifacts = await artifacts.store(reviewId, url).catch(storeError => {
+            console.error(`❌ Could not store artifacts for ${url}:`, storeError.message);
+            return [];
+          });
         }
+        await artifacts.dispose();
+      }
+    }
+  }
+  if (result && result.aborted) {
+    progressEntry.status = result.aborted.toLowerCase();
+  } else {
+    progressEntry.status = result && !result.testFailed ? 'completed' : 'failed';
+  }
+  Object.assign(progressEntry, snapshotProgress(progressEntry));
+  progressEntry.tracker = null;
+  return result;
+}
+function buildBatchResponse(results, { profile, concurrency }) {
+  const deepTest = profile.phases.deepNavigation;
+  const total = results.length;
+  const passed = results.filter(r => r.finalDecision === 'PASS').length;
+  const failed = total - passed;
+  const loginFailed = results.filter(r => r.finalDecision === 'LOGIN_FAILED').length;
+  const totalElementsTested = results.reduce((sum, r) => sum + (r.testSummary?.testedElements || 0), 0);
+  const totalBrokenElements = results.reduce((sum, r) => sum + (r.testSummary?.brokenElements || 0), 0);
+  const totalPagesVisited = results.reduce((sum, r) => sum + (r.testSummary?.pagesVisited || 0), 0);
+  const totalCriticalFailures = results.reduce((sum, r) => sum + (r.testSummary?.criticalFailures || 0), 0);
+  const avgContentLength = Math.round(
+    results.reduce((sum, r) => sum + (r.performance?.contentLength || 0), 0) / total
+  );
+  const summary = results.map(r => {
+    let line = `🔗 ${r.url}\n   ➜ ${r.finalDecision}`;
+    if (r.combinedReasons) {
+      line += ` - ${r.combinedReasons}`;
+    }
+    if (r.advancedTesting && !r.error) {
+      const ts = r.testSummary || {};
+      line += `\n   📊 ${ts.testedElements || 0} elements tested, ${ts.brokenElements || 0} broken, ${ts.pagesVisited || 0} pages explored`;
+      if (ts.criticalFailures > 0) {
+        line += `, ${ts.criticalFailures} critical failures`;
       }
-      return line;
-    }).join('\n\n');
-    const finalSummary = `${summary}\n\n🧪 ADVANCED TESTING SUMMARY: ${passed}/${total} passed (${Math.round((passed/total)*100)}% success rate)
+    }
+    return line;
+  }).join('\n\n');
+  const finalSummary = `${summary}\n\n🧪 ADVANCED TESTING SUMMARY: ${passed}/${total} passed (${Math.round((passed/total)*100)}% success rate)
 🔧 Elements tested: ${totalElementsTested}, Broken: ${totalBrokenElements} (${totalElementsTested > 0 ? Math.round((totalBrokenElements/totalElementsTested)*100) : 0}% failure rate)
 🗺️ Total pages explored: ${totalPagesVisited}
 🚨 Critical failures: ${totalCriticalFailures}
 📊 Average content length: ${avgContentLength} characters
-⚡ Advanced testing: ${deepTest ? 'Deep navigation enabled' : 'Basic testing'} | Max depth: ${maxDepth}`;
-    console.log('\n' + '='.repeat(80));
-    console.log(finalSummary);
-    console.log('='.repeat(80));
-    res.json({
-      summary: finalSummary,
-      results,
-      stats: { 
-        total, 
-        passed, 
-        failed, 
-        successRate: Math.round((passed / total) * 100),
-        totalElementsTested,
-        totalBrokenElements,
-        elementFailureRate: totalElementsTested > 0 ? Math.round((totalBrokenElements / totalElementsTested) * 100) : 0,
-        totalPagesVisited,
-        totalCriticalFailures,
-        avgContentLength
-      },
-      advancedTesting: true,
-      deepTest,
-      version: '2.0-advanced',
-      testingConfig: TESTING_CONFIG,
+⚡ Advanced testing: ${deepTest ? 'Deep navigation enabled' : 'Basic testing'} | Max depth: ${profile.maxDepth} | Max pages: ${profile.maxPages}`;
+  console.log('\n' + '='.repeat(80));
+  console.log(finalSummary);
+  console.log('='.repeat(80));
+  return {
+    summary: finalSummary,
+    results,
+    stats: { 
+      total, 
+      passed, 
+      failed, 
+      loginFailed,
+      successRate: Math.round((passed / total) * 100),
+      totalElementsTested,
+      totalBrokenElements,
+      elementFailureRate: totalElementsTested > 0 ? Math.round((totalBrokenElements / totalElementsTested) * 100) : 0,
+      totalPagesVisited,
+      totalCriticalFailures,
+      avgContentLength
+    },
+    advancedTesting: true,
+    deepTest,
+    profile,
+    concurrency,
+    version: '2.0-advanced',
+    testingConfig: resolveTestingConfig(profile),
+    timestamp: new Date().toISOString()
+  };
+}
+function createFailedResult(url, message) {
+  return {
+    url,
+    finalDecision: 'FAIL',
+    combinedReasons: `Test execution failed: ${message}`,
+    decisions: [],
+    screenshot_url: null,
+    advancedTesting: true,
+    testFailed: true,
+    error: message
+  };
+}
+async function runBatchReview(job) {
+  const { urls, options } = job;
+  const results = new Array(urls.length).fill(null);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < urls.length) {
+      const index = nextIndex++;
+      results[index] = await testUrl(urls[index], options, job.progress[index]) ||
+        createFailedResult(urls[index], 'no attempt completed');
+      await persistJob(job);
+    }
+  };
+  const workerCount = Math.min(options.concurrency, urls.length);
+  console.log(`🧵 Testing ${urls.length} URLs with ${workerCount} parallel workers`);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return buildBatchResponse(results, options);
+}
+const jobs = new Map();
+const jobQueue = [];
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const FINISHED_URL_STATUSES = ['completed', 'failed', 'cancelled', 'timeout'];
+let jobQueueRunning = false;
+function snapshotProgress(entry) {
+  const { tracker, controller, auth, ...progress } = entry;
+  if (!tracker) {
+    return progress;
+  }
+  return {
+    ...progress,
+    currentPage: tracker.currentPage,
+    pagesVisited: tracker.pagesVisited.length,
+    elementsTested: tracker.testedElements,
+    brokenElements: tracker.brokenElements,
+    failures: tracker.failures.length,
+    criticalFailures: tracker.criticalFailures.length
+  };
+}
+function createJob(urls, options, id = randomUUID(), auth = {}) {
+  const config = resolveTestingConfig(options.profile);
+  const controller = new ReviewController('Batch', config.BATCH_TIME_BUDGET);
+  const job = {
+    id,
+    status: 'queued',
+    urls,
+    options,
+    controller,
+    progress: urls.map(url => ({
+      url,
+      status: 'queued',
+      currentPage: null,
+      pagesVisited: 0,
+      elementsTested: 0,
+      brokenElements: 0,
+      failures: 0,
+      criticalFailures: 0,
+      tracker: null,
+      controller: new ReviewController('URL', config.URL_TIME_BUDGET, controller),
+      auth: auth[url] || null
+    })),
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    persisting: Promise.resolve()
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+function serializeJob(job) {
+  const progress = job.progress.map(snapshotProgress);
+  return {
+    id: job.id,
+    status: job.status,
+    urls: job.urls,
+    options: job.options,
+    completedUrls: progress.filter(p => FINISHED_URL_STATUSES.includes(p.status)).length,
+    totalUrls: job.urls.length,
+    progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+// Per-URL detail stays in reviews; clients reload it with GET /api/reviews/:id
+function slimBatchResult(result) {
+  if (!result) return null;
+  const { summary, results, stats, deepTest, profile, concurrency, version, timestamp } = result;
+  return {
+    summary,
+    slim: true,
+    results: results.map(r => ({
+      url: r.url,
+      reviewId: r.reviewId ?? null,
+      finalDecision: r.finalDecision,
+      combinedReasons: r.combinedReasons,
+      testSummary: r.testSummary,
+      aborted: r.aborted,
+      partial: r.partial,
+      testFailed: r.testFailed,
+      error: r.error
+    })),
+    stats,
+    deepTest,
+    profile,
+    concurrency,
+    version,
+    timestamp
+  };
+}
+function persistJob(job) {
+  job.persisting = job.persisting.then(() => writeJob(job));
+  return job.persisting;
+}
+async function writeJob(job) {
+  const snapshot = serializeJob(job);
+  try {
+    const { error } = await supabase.from('review_jobs').upsert([{
+      id: job.id,
+      status: job.status,
+      urls: job.urls,
+      options: job.options,
+      progress: snapshot.progress,
+      result: slimBatchResult(job.result),
+      error: job.error,
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      completed_at: job.completedAt
+    }]);
+    if (error) {
+      console.error(`❌ Job persistence error for ${job.id}:`, error.message);
+    }
+  } catch (dbError) {
+    console.error(`❌ Job persistence connection error for ${job.id}:`, dbError.message);
+  }
+}
+async function enqueueJob(job) {
+  jobQueue.push(job);
+  await persistJob(job);
+  processJobQueue();
+}
+async function processJobQueue() {
+  if (jobQueueRunning) return;
+  jobQueueRunning = true;
+  while (jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    console.log(`📦 Starting job ${job.id} (${job.urls.length} URLs, ${jobQueue.length} queued)`);
+    await runJob(job);
+  }
+  jobQueueRunning = false;
+}
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.controller.start();
+  await persistJob(job);
+  try {
+    job.result = await runBatchReview(job);
+    const abort = job.controller.getAbort();
+    job.status = abort ? abort.reason.toLowerCase() : 'completed';
+  } catch (err) {
+    console.error(`❌ Job ${job.id} failed:`, err.message);
+    job.status = 'failed';
+    job.error = err.message;
+  }
+  job.completedAt = new Date().toISOString();
+  await persistJob(job);
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS);
+}
+function cancelJob(job, url = null) {
+  if (url) {
+    const entries = job.progress.filter(entry => entry.url === url && !FINISHED_URL_STATUSES.includes(entry.status));
+    entries.forEach(entry => entry.controller.cancel());
+    return entries.length;
+  }
+  job.controller.cancel();
+  const queueIndex = jobQueue.indexOf(job);
+  if (queueIndex !== -1) {
+    jobQueue.splice(queueIndex, 1);
+    job.status = 'cancelled';
+    job.completedAt = new Date().toISOString();
+    job.progress.forEach(entry => {
+      entry.status = 'cancelled';
+    });
+    persistJob(job);
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS);
+  }
+  return job.progress.filter(entry => !FINISHED_URL_STATUSES.includes(entry.status)).length;
+}
+async function resumePendingJobs() {
+  try {
+    const { data, error } = await supabase
+      .from('review_jobs')
+      .select('*')
+      .in('status', ['queued', 'running'])
+      .order('created_at', { ascending: true });
+    if (error) {
+      console.error('❌ Could not load pending jobs:', error.message);
+      return;
+    }
+    for (const record of data || []) {
+      const job = createJob(record.urls, record.options, record.id);
+      job.createdAt = record.created_at;
+      if (record.options?.authenticatedUrls?.length > 0) {
+        job.status = 'failed';
+        job.error = 'Login secrets are not persisted; resubmit this job to test authenticated URLs';
+        job.completedAt = new Date().toISOString();
+        console.log(`🔐 Not resuming job ${job.id}: it needs login secrets that were never stored`);
+        await persistJob(job);
+        continue;
+      }
+      console.log(`♻️ Resuming job ${job.id}`);
+      enqueueJob(job);
+    }
+  } catch (dbError) {
+    console.error('❌ Could not load pending jobs:', dbError.message);
+  }
+}
+app.post('/batch-review', rateLimit, async (req, res) => {
+  const { urls, deepTest, maxDepth, profile: requestedProfile = {}, auth = {}, artifacts = false, concurrency = TESTING_CONFIG.URL_CONCURRENCY, async: runAsync = true } = req.body;
+  if (!urls || !Array.isArray(urls)) {
+    return res.status(400).json({ error: 'No URLs array provided' });
+  }
+  if (urls.length > 20) {
+    return res.status(400).json({ error: 'Maximum 20 URLs allowed per batch' });
+  }
+  if (typeof artifacts !== 'boolean') {
+    return res.status(400).json({ error: 'artifacts must be a boolean' });
+  }
+  const parsedConcurrency = parseInt(concurrency);
+  if (!Number.isInteger(parsedConcurrency) || parsedConcurrency < 1) {
+    return res.status(400).json({ error: 'concurrency must be a positive integer' });
+  }
+  const { errors: profileErrors, profile } = validateTestProfile(requestedProfile, { deepTest, maxDepth });
+  if (profileErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid test profile', details: profileErrors });
+  }
+  const authErrors = validateAuthConfig(auth, urls);
+  if (authErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid auth configuration', details: authErrors });
+  }
+  const options = {
+    profile,
+    concurrency: Math.min(parsedConcurrency, TESTING_CONFIG.MAX_BROWSER_CONTEXTS),
+    authenticatedUrls: Object.keys(auth),
+    artifacts
+  };
+  if (runAsync) {
+    const job = createJob(urls, options, undefined, auth);
+    enqueueJob(job);
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      queuePosition: jobQueue.indexOf(job) + 1,
+      statusUrl: `/api/jobs/${job.id}`,
       timestamp: new Date().toISOString()
     });
-  } catch (err) {
-    console.error('❌ ADVANCED BATCH REVIEW ERROR:', err);
-    res.status(500).json({ 
+  }
+  const job = createJob(urls, options, undefined, auth);
+  await runJob(job);
+  if (job.status === 'failed') {
+    console.error('❌ ADVANCED BATCH REVIEW ERROR:', job.error);
+    return res.status(500).json({ 
       error: 'Advanced batch review failed', 
-      details: err.message,
+      details: job.error,
+      jobId: job.id,
       timestamp: new Date().toISOString(),
       version: '2.0-advanced'
     });
-  } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeError) {
-        console.log('⚠️ Browser close error:', closeError.message);
-      }
+  }
+  res.json({ ...job.result, jobId: job.id, jobStatus: job.status });
+});
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or no longer active' });
+  }
+  if (!['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+  const { url } = req.body || {};
+  if (url && !job.urls.includes(url)) {
+    return res.status(400).json({ error: 'URL is not part of this job' });
+  }
+  const cancelledUrls = cancelJob(job, url || null);
+  console.log(`🛑 Cancellation requested for job ${job.id}${url ? ` (${url})` : ''}`);
+  res.json({
+    success: true,
+    jobId: job.id,
+    url: url || null,
+    cancelledUrls,
+    status: job.status,
+    timestamp: new Date().toISOString()
+  });
+});
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (job) {
+    return res.json(serializeJob(job));
+  }
+  try {
+    const { data, error } = await supabase
+      .from('review_jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+    if (error || !data) {
+      return res.status(404).json({ error: 'Job not found' });
     }
+    res.json({
+      id: data.id,
+      status: data.status,
+      urls: data.urls,
+      options: data.options,
+      completedUrls: (data.progress || []).filter(p => FINISHED_URL_STATUSES.includes(p.status)).length,
+      totalUrls: (data.urls || []).length,
+      progress: data.progress || [],
+      result: data.result,
+      error: data.error,
+      createdAt: data.created_at,
+      startedAt: data.started_at,
+      completedAt: data.completed_at
+    });
+  } catch (err) {
+    console.error('❌ Job lookup error:', err);
+    res.status(500).json({ error: 'Failed to fetch job' });
   }
 });
 app.post('/review', rateLimit, async (req, res) => {
@@ -1036,7 +4854,7 @@ app.post('/review', rateLimit, async (req, res) => {
   if (!url) return res.status(400).json({ error: 'No URL provided' });
   return app.handle({
     ...req,
-    body: { urls: [url], deepTest: false }
+    body: { urls: [url], deepTest: false, async: false }
   }, res);
 });
 app.post('/human-review', rateLimit, async (req, res) => {
@@ -1102,6 +4920,210 @@ app.post('/human-review', rateLimit, async (req, res) => {
     });
   }
 });
+app.post('/api/reviews/:id/baseline', async (req, res) => {
+  try {
+    const { data: existingReview, error: fetchError } = await supabase
+      .from('reviews')
+      .select('id, url, screenshot_base64, ai_raw_response')
+      .eq('id', req.params.id)
+      .single();
+    if (fetchError || !existingReview) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    let aiData = {};
+    try {
+      aiData = JSON.parse(existingReview.ai_raw_response || '{}');
+    } catch (e) {
+      aiData = {};
+    }
+    if (!aiData.screenshot && !existingReview.screenshot_base64) {
+      return res.status(409).json({ error: 'Review has no screenshot to use as a baseline' });
+    }
+    aiData.visualBaseline = {
+      promotedAt: new Date().toISOString(),
+      promotedBy: 'human-reviewer'
+    };
+    const { error: updateError } = await supabase
+      .from('reviews')
+      .update({ ai_raw_response: JSON.stringify(aiData) })
+      .eq('id', existingReview.id);
+    if (updateError) {
+      console.error('❌ Database update error:', updateError.message);
+      return res.status(500).json({ error: 'Failed to promote baseline' });
+    }
+    console.log(`🖼️ Promoted review ${existingReview.id} to visual baseline for ${existingReview.url}`);
+    res.json({
+      success: true,
+      reviewId: existingReview.id,
+      url: existingReview.url,
+      viewport: aiData.visual?.viewport || { width: 1440, height: 900 },
+      promotedAt: aiData.visualBaseline.promotedAt
+    });
+  } catch (error) {
+    console.error('❌ Baseline promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to promote baseline',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+app.get('/api/reviews/:id/artifacts', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('review_artifacts')
+      .select('kind, content_type, size_bytes, created_at')
+      .eq('review_id', req.params.id);
+    if (error) {
+      console.error('❌ Error fetching artifacts:', error.message);
+      return res.status(500).json({ error: error.message });
+    }
+    res.json({
+      reviewId: req.params.id,
+      artifacts: (data || []).map(artifact => ({
+        kind: artifact.kind,
+        contentType: artifact.content_type,
+        bytes: artifact.size_bytes,
+        createdAt: artifact.created_at,
+        downloadUrl: `/api/reviews/${req.params.id}/artifacts/${artifact.kind}`
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Artifact listing error:', error);
+    res.status(500).json({ error: 'Failed to list artifacts', details: error.message });
+  }
+});
+app.get('/api/reviews/:id/artifacts/:kind', async (req, res) => {
+  const artifactType = ARTIFACT_TYPES[req.params.kind];
+  if (!artifactType) {
+    return res.status(400).json({ error: `kind must be one of: ${Object.keys(ARTIFACT_TYPES).join(', ')}` });
+  }
+  try {
+    const { data, error } = await supabase
+      .from('review_artifacts')
+      .select('content_type, data_base64')
+      .eq('review_id', req.params.id)
+      .eq('kind', req.params.kind)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      console.error('❌ Error fetching artifact:', error.message);
+      return res.status(500).json({ error: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    res.set('Content-Type', data.content_type);
+    res.attachment(`review-${req.params.id}-${artifactType.file}`);
+    res.send(Buffer.from(data.data_base64, 'base64'));
+  } catch (error) {
+    console.error('❌ Artifact download error:', error);
+    res.status(500).json({ error: 'Failed to download artifact', details: error.message });
+  }
+});
+async function listReviewScreenshots(reviewId) {
+  const { data, error } = await supabase
+    .from('review_screenshots')
+    .select('page_url, kind, label, hash, width, height, position')
+    .eq('review_id', reviewId)
+    .order('position', { ascending: true });
+  if (error) {
+    return { error };
+  }
+  return {
+    screenshots: (data || []).map(shot => ({
+      url: shot.page_url,
+      kind: shot.kind,
+      label: shot.label,
+      width: shot.width,
+      height: shot.height,
+      hash: shot.hash,
+      src: `/api/screenshots/${shot.hash}`
+    }))
+  };
+}
+app.get('/api/reviews/:id', async (req, res) => {
+  try {
+    const { data: review, error } = await supabase
+      .from('reviews')
+      .select('id, url, review, ai_raw_response, gif_base64, created_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) {
+      console.error('❌ Error fetching review:', error.message);
+      return res.status(500).json({ error: error.message });
+    }
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    let aiData = {};
+    try {
+      aiData = JSON.parse(review.ai_raw_response || '{}');
+    } catch (e) {
+      aiData = {};
+    }
+    const { screenshots = [] } = await listReviewScreenshots(review.id);
+    const replayUrl = review.gif_base64?.startsWith('/api/') ? review.gif_base64 : null;
+    res.json({
+      ...aiData,
+      url: review.url,
+      reviewId: review.id,
+      review: review.review,
+      finalDecision: aiData.decision,
+      combinedReasons: aiData.reason,
+      screenshot_url: aiData.screenshot?.src || null,
+      gif_base64: replayUrl,
+      recording: aiData.recording ? { ...aiData.recording, downloadUrl: replayUrl } : null,
+      screenshots,
+      createdAt: review.created_at
+    });
+  } catch (error) {
+    console.error('❌ Review lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch review', details: error.message });
+  }
+});
+app.get('/api/reviews/:id/screenshots', async (req, res) => {
+  try {
+    const { screenshots, error } = await listReviewScreenshots(req.params.id);
+    if (error) {
+      console.error('❌ Error fetching screenshots:', error.message);
+      return res.status(500).json({ error: error.message });
+    }
+    res.json({
+      reviewId: req.params.id,
+      screenshots
+    });
+  } catch (error) {
+    console.error('❌ Screenshot listing error:', error);
+    res.status(500).json({ error: 'Failed to list screenshots', details: error.message });
+  }
+});
+app.get('/api/screenshots/:hash', async (req, res) => {
+  if (!/^[a-f0-9]{64}$/.test(req.params.hash)) {
+    return res.status(400).json({ error: 'Invalid screenshot hash' });
+  }
+  try {
+    const { data, error } = await supabase
+      .from('screenshot_blobs')
+      .select('content_type, data_base64')
+      .eq('hash', req.params.hash)
+      .maybeSingle();
+    if (error) {
+      console.error('❌ Error fetching screenshot:', error.message);
+      return res.status(500).json({ error: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    res.set('Content-Type', data.content_type);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(Buffer.from(data.data_base64, 'base64'));
+  } catch (error) {
+    console.error('❌ Screenshot download error:', error);
+    res.status(500).json({ error: 'Failed to load screenshot', details: error.message });
+  }
+});
 app.get('/api/recent-reviews', async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
@@ -1137,7 +5159,14 @@ app.get('/api/recent-reviews', async (req, res) => {
           criticalFailures: aiData.criticalFailures?.length || 0,
           elementsTestedTotal: aiData.testSummary?.testedElements || 0,
           advancedTesting: aiData.advancedTesting || false,
-          humanReview: aiData.humanReview || null
+          humanReview: aiData.humanReview || null,
+          screenshotUrl: aiData.screenshot?.src || null,
+          visualBaseline: aiData.visualBaseline || null,
+          visualDiff: aiData.visual?.baseline ? {
+            baselineReviewId: aiData.visual.baseline.reviewId,
+            percentChanged: aiData.visual.percentChanged,
+            regions: aiData.visual.regions?.length || 0
+          } : null
         };
       } catch {
         return review;
@@ -1174,10 +5203,13 @@ app.get('/health', (req, res) => {
       responsiveDesignTesting: true,
       criticalFailureDetection: true,
       humanReview: true,
+      asyncJobs: true,
+      authenticatedTesting: true,
       aiReviews: !!process.env.OPENAI_API_KEY,
       rateLimit: true
     },
     testingConfig: TESTING_CONFIG,
+    browserPool: browserPool.getStatus(),
     timestamp: new Date().toISOString()
   });
 });
@@ -1270,6 +5302,8 @@ app.get('/config', (req, res) => {
       responsiveDesignTesting: true,
       criticalFailureDetection: true,
       humanReview: true,
+      asyncJobs: true,
+      authenticatedTesting: true,
       aiReviews: !!process.env.OPENAI_API_KEY
     }
   });
@@ -1281,8 +5315,16 @@ app.use((req, res) => {
     path: req.path,
     availableRoutes: [
       'POST /batch-review',
+      'GET /api/jobs/:id',
+      'POST /api/jobs/:id/cancel',
       'POST /review', 
       'POST /human-review',
+      'GET /api/reviews/:id',
+      'POST /api/reviews/:id/baseline',
+      'GET /api/reviews/:id/artifacts',
+      'GET /api/reviews/:id/artifacts/:kind',
+      'GET /api/reviews/:id/screenshots',
+      'GET /api/screenshots/:hash',
       'GET /api/recent-reviews',
       'GET /api/stats',
       'GET /health',
@@ -1310,6 +5352,7 @@ app.listen(PORT, () => {
   console.log(`🧪 Testing Config: Max ${TESTING_CONFIG.MAX_PAGES_TO_TEST} pages, depth ${TESTING_CONFIG.MAX_DEPTH}`);
   console.log(`🤖 AI Reviews: ${process.env.OPENAI_API_KEY ? 'Enabled' : 'Disabled'}`);
   console.log(`👤 Human Review: Enabled`);
+  resumePendingJobs();
 });
 process.on('SIGTERM', () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully...');
@@ -16,13 +16,56 @@ async function createTable() {
         scores jsonb,
         created_at timestamp with time zone default timezone('utc'::text, now())
       );
+      create table if not exists review_jobs (
+        id text primary key,
+        status text not null,
+        urls jsonb not null,
+        options jsonb,
+        progress jsonb,
+        result jsonb,
+        error text,
+        created_at timestamp with time zone default timezone('utc'::text, now()),
+        started_at timestamp with time zone,
+        completed_at timestamp with time zone
+      );
+      create table if not exists review_artifacts (
+        id bigint generated always as identity primary key,
+        review_id bigint not null references reviews(id) on delete cascade,
+        url text not null,
+        kind text not null,
+        content_type text not null,
+        size_bytes integer not null,
+        data_base64 text not null,
+        created_at timestamp with time zone default timezone('utc'::text, now())
+      );
+      create index if not exists review_artifacts_review_id_idx on review_artifacts (review_id);
+      create table if not exists screenshot_blobs (
+        hash text primary key,
+        content_type text not null,
+        size_bytes integer not null,
+        data_base64 text not null,
+        created_at timestamp with time zone default timezone('utc'::text, now())
+      );
+      create table if not exists review_screenshots (
+        id bigint generated always as identity primary key,
+        review_id bigint not null references reviews(id) on delete cascade,
+        page_url text not null,
+        kind text not null,
+        label text,
+        hash text not null references screenshot_blobs(hash),
+        width integer,
+        height integer,
+        position integer not null,
+        created_at timestamp with time zone default timezone('utc'::text, now())
+      );
+      create index if not exists review_screenshots_review_id_idx on review_screenshots (review_id);
     `
   });
 
   if (error) {
     console.error('❌ Failed to create table:', error.message);
   } else {
-    console.log('✅ Supabase table "reviews" created (or already exists).');
+    console.log('✅ Supabase tables "reviews", "review_jobs", "review_artifacts", "screenshot_blobs" and "review_screenshots" created (or already exist).');
   }
 }
 